@@ -0,0 +1,128 @@
+// Conexão AMQP com reconexão automática.
+//
+// connect() faz UMA tentativa (createChannel do amqp.js de cada serviço) e setup()
+// declara filas/bindings e registra os consumidores. Se a conexão ou o canal cair
+// (RabbitMQ reiniciou, PRECONDITION_FAILED...), uma nova conexão é aberta com backoff
+// exponencial e setup() roda de novo no canal novo.
+//
+// onConnected() roda depois que o canal novo já é o atual (getChannel() o devolve): é onde
+// entra o que depende dele, como acordar o relay do outbox. Dentro do setup() ainda é null.
+//
+// Enquanto desconectado, getChannel()/getConnection() devolvem null: o relay do outbox
+// segura os eventos na tabela (nada se perde) e as rotas de admin da DLQ respondem 503.
+import { createLogger } from './logger.js';
+
+export const AMQP_STATES = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  DISCONNECTED: 'disconnected',
+  CLOSED: 'closed'
+};
+
+async function closeQuietly(conn) {
+  try {
+    await conn.close();
+  } catch {
+    // já estava fechada
+  }
+}
+
+export function createAmqpConnection({
+  service,
+  connect,
+  setup = async () => {},
+  onConnected = () => {},
+  minDelayMs = Number(process.env.AMQP_RECONNECT_MIN_MS || 1000),
+  maxDelayMs = Number(process.env.AMQP_RECONNECT_MAX_MS || 30000)
+}) {
+  const log = createLogger(service);
+  let current = null; // { conn, ch }
+  let state = AMQP_STATES.DISCONNECTED;
+  let attempts = 0;
+  let timer = null;
+  let stopped = false;
+
+  function scheduleReconnect() {
+    if (stopped || timer) return;
+    state = AMQP_STATES.DISCONNECTED;
+    const delayMs = Math.min(minDelayMs * 2 ** attempts, maxDelayMs);
+    attempts++;
+    log.info('AMQP reconnecting', { delayMs, attempt: attempts });
+    timer = setTimeout(open, delayMs);
+    timer.unref?.();
+  }
+
+  async function open() {
+    timer = null;
+    if (stopped) return;
+    state = AMQP_STATES.CONNECTING;
+
+    let amqp = null;
+    let lost = false;
+    const onLost = () => {
+      if (lost) return;
+      lost = true;
+      if (current === amqp) current = null;
+      if (stopped) return;
+      log.error('AMQP connection lost');
+      scheduleReconnect();
+    };
+
+    try {
+      amqp = await connect();
+      amqp.conn.on('error', err => log.error('AMQP connection error', { err: err.message }));
+      amqp.conn.on('close', onLost);
+      amqp.ch.on('error', err => log.error('AMQP channel error', { err: err.message }));
+      // Canal fechado com a conexão de pé: fecha a conexão e recomeça do zero
+      amqp.ch.on('close', () => {
+        onLost();
+        closeQuietly(amqp.conn);
+      });
+
+      await setup(amqp);
+      if (lost) return; // caiu no meio do setup: a reconexão já foi agendada
+
+      current = amqp;
+      state = AMQP_STATES.CONNECTED;
+      attempts = 0;
+      log.info('AMQP connected');
+    } catch (err) {
+      log.error('AMQP connection failed', { err: err.message });
+      if (lost) return;
+      lost = true;
+      if (amqp) closeQuietly(amqp.conn);
+      scheduleReconnect();
+      return;
+    }
+
+    try {
+      await onConnected(amqp);
+    } catch (err) {
+      log.error('AMQP onConnected failed', { err: err.message });
+    }
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+    getChannel: () => current?.ch ?? null,
+    getConnection: () => current?.conn ?? null,
+
+    start() {
+      stopped = false;
+      if (current || timer || state === AMQP_STATES.CONNECTING) return;
+      open();
+    },
+
+    async close() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      state = AMQP_STATES.CLOSED;
+      const amqp = current;
+      current = null;
+      if (amqp) await closeQuietly(amqp.conn);
+    }
+  };
+}
@@ -0,0 +1,58 @@
+// Controle de concorrência otimista.
+//
+// Cada entidade tem uma coluna version (começa em 1 e sobe a cada escrita). O ETag das
+// respostas é a versão; com If-Match, a escrita só acontece se a versão no banco ainda
+// for uma das enviadas — senão 412 e o cliente relê antes de tentar de novo. Sem
+// If-Match (ou com *), a escrita é incondicional, como antes.
+//
+// Os eventos levam a mesma versão, e os consumidores ignoram o que for mais antigo que
+// a cópia local (ver upsertUserReplica no orders-service).
+
+export const PRECONDITION_FAILED_ERROR = 'O recurso foi alterado por outra requisição; busque a versão atual';
+
+// Versão diferente da esperada no If-Match -> 412
+export class PreconditionFailedError extends Error {
+  constructor(currentVersion) {
+    super(PRECONDITION_FAILED_ERROR);
+    this.name = 'PreconditionFailedError';
+    this.currentVersion = currentVersion;
+  }
+}
+
+export function etagFor(version) {
+  return `"${version}"`;
+}
+
+export function setETag(res, entity) {
+  res.set('ETag', etagFor(entity.version));
+}
+
+// Versões aceitas pelo If-Match ("3" ou "2", "3"); undefined = sem condição.
+// ETag fraco (W/"3") nunca casa com If-Match (comparação forte, RFC 9110)
+export function ifMatchVersions(req) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return undefined;
+  return header.split(',')
+    .map(tag => /^\s*"(\d+)"\s*$/.exec(tag))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+}
+
+// Condição extra do where de uma escrita ({} sem If-Match)
+export function versionCondition(req) {
+  const versions = ifMatchVersions(req);
+  return versions === undefined ? {} : { version: { in: versions } };
+}
+
+// Para quem já leu a entidade antes de escrever (lança PreconditionFailedError)
+export function assertIfMatch(req, entity) {
+  const versions = ifMatchVersions(req);
+  if (versions !== undefined && !versions.includes(entity.version)) {
+    throw new PreconditionFailedError(entity.version);
+  }
+}
+
+export function preconditionFailed(res, err) {
+  if (err.currentVersion !== undefined) setETag(res, { version: err.currentVersion });
+  return res.status(412).json({ error: err.message, currentVersion: err.currentVersion ?? null });
+}
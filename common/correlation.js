@@ -0,0 +1,40 @@
+// Correlation id por requisição/mensagem, guardado em AsyncLocalStorage.
+// Entra pelo header x-correlation-id (gerado no gateway), segue nas chamadas HTTP
+// entre serviços e no envelope dos eventos (correlationId), e aparece em todos os logs.
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+export const CORRELATION_HEADER = 'x-correlation-id';
+
+// Aceita ids de fora só se forem "comportados" (evita log injection e valores gigantes)
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+export function getCorrelationId() {
+  return storage.getStore()?.correlationId ?? null;
+}
+
+export function runWithCorrelationId(correlationId, fn) {
+  return storage.run({ correlationId: correlationId || randomUUID() }, fn);
+}
+
+export function normalizeCorrelationId(value) {
+  return typeof value === 'string' && VALID_ID.test(value) ? value : randomUUID();
+}
+
+// Middleware: usa o id recebido (ou gera um), devolve no response e abre o contexto
+export function correlation() {
+  return (req, res, next) => {
+    const correlationId = normalizeCorrelationId(req.get(CORRELATION_HEADER));
+    req.correlationId = correlationId;
+    res.set(CORRELATION_HEADER, correlationId);
+    runWithCorrelationId(correlationId, next);
+  };
+}
+
+// Headers para chamadas HTTP a outros serviços
+export function correlationHeaders() {
+  const correlationId = getCorrelationId();
+  return correlationId ? { [CORRELATION_HEADER]: correlationId } : {};
+}
@@ -0,0 +1,51 @@
+// Provider do banco dos serviços com Prisma (users e orders).
+//
+// O Prisma não troca o provider por variável de ambiente, então cada serviço tem dois
+// schemas: prisma/schema.prisma (SQLite, dev local e testes) e
+// prisma/postgresql/schema.prisma (PostgreSQL via DATABASE_URL, com migrations).
+// DATABASE_PROVIDER escolhe qual deles é gerado/aplicado (common/prismaCli.js).
+//
+// No SQLite as colunas JSON são String; no PostgreSQL são Json (jsonb). Os helpers abaixo
+// escondem essa diferença de quem grava e lê essas colunas.
+
+export const DATABASE_PROVIDERS = ['sqlite', 'postgresql'];
+
+export function databaseProvider(env = process.env) {
+  const provider = env.DATABASE_PROVIDER || 'sqlite';
+  if (!DATABASE_PROVIDERS.includes(provider)) {
+    throw new Error(`DATABASE_PROVIDER inválido: ${provider} (use ${DATABASE_PROVIDERS.join(' ou ')})`);
+  }
+  return provider;
+}
+
+// Schema usado pelo Prisma CLI para o provider (caminho relativo à pasta do serviço)
+export function schemaPath(provider = databaseProvider()) {
+  return provider === 'sqlite' ? 'prisma/schema.prisma' : `prisma/${provider}/schema.prisma`;
+}
+
+const PROVIDER = databaseProvider();
+
+// Arquivo do SQLite, lido pelo schema do users-service (env("SQLITE_URL")). Vale para o
+// client e para o Prisma CLI (common/prismaCli.js); os testes apontam para um arquivo temporário.
+export const DEFAULT_SQLITE_URL = 'file:./dev.db';
+if (PROVIDER === 'sqlite' && !process.env.SQLITE_URL) process.env.SQLITE_URL = DEFAULT_SQLITE_URL;
+
+// Colunas Json nativas (jsonb) em vez de String
+export const nativeJson = PROVIDER === 'postgresql';
+
+// Valor para gravar numa coluna JSON
+export function toJsonColumn(value) {
+  return nativeJson ? value : JSON.stringify(value);
+}
+
+// Valor lido de uma coluna JSON (null continua null)
+export function fromJsonColumn(value) {
+  if (value === null || value === undefined) return null;
+  return nativeJson ? value : JSON.parse(value);
+}
+
+// Filtro de substring sem diferenciar maiúsculas: o LIKE do SQLite já é assim,
+// no PostgreSQL precisa do mode (que o SQLite não aceita)
+export function containsText(value) {
+  return PROVIDER === 'postgresql' ? { contains: value, mode: 'insensitive' } : { contains: value };
+}
@@ -0,0 +1,253 @@
+// Retry com atraso e dead-letter para os consumidores (usado com subscribe de messaging.js).
+//
+// Topologia para a fila <queue>:
+//   <queue>.retry.<ms>  fila sem consumidor com TTL fixo; ao expirar, a mensagem volta
+//                       para <queue> via default exchange (x-dead-letter-routing-key)
+//   <queue>.dlx         exchange direct para onde vão as mensagens mortas
+//   <queue>.dlq         fila ligada ao DLX; inspecionada/reprocessada pelo admin
+//
+// O número de tentativas viaja no header x-attempts. A fila principal não recebe
+// argumentos de DLX (mudar os argumentos de uma fila existente derruba o canal com
+// PRECONDITION_FAILED): o próprio consumidor publica no retry/DLX e só então dá ack.
+import { randomUUID } from 'crypto';
+import { createLogger } from './logger.js';
+import { publishFailures, messagesAcked, messagesNacked } from './metrics.js';
+
+export const RETRY_HEADERS = {
+  ATTEMPTS: 'x-attempts',
+  LAST_ERROR: 'x-last-error',
+  REASON: 'x-dead-letter-reason',
+  DEAD_LETTERED_AT: 'x-dead-lettered-at',
+  ORIGINAL_ROUTING_KEY: 'x-original-routing-key',
+  ORIGINAL_EXCHANGE: 'x-original-exchange'
+};
+
+export const DEAD_LETTER_REASONS = {
+  MALFORMED: 'malformed', // não é JSON ou está fora do schema do evento: não adianta tentar de novo
+  MAX_ATTEMPTS: 'max-attempts'
+};
+
+export const DEFAULT_RETRY_DELAYS_MS = [1000, 5000, 30000];
+
+export function deadLetterNames(queue) {
+  return { dlx: `${queue}.dlx`, dlq: `${queue}.dlq`, retry: delay => `${queue}.retry.${delay}` };
+}
+
+// "1000,5000,30000" -> [1000, 5000, 30000]
+export function parseDelays(value, fallback = DEFAULT_RETRY_DELAYS_MS) {
+  if (!value) return fallback;
+  const delays = String(value).split(',').map(Number).filter(n => Number.isInteger(n) && n > 0);
+  return delays.length ? delays : fallback;
+}
+
+// Declara DLX, DLQ e as filas de retry (idempotente; chamado na subida do serviço)
+export async function assertDeadLetterTopology(ch, queue, { delaysMs = DEFAULT_RETRY_DELAYS_MS } = {}) {
+  const names = deadLetterNames(queue);
+  await ch.assertExchange(names.dlx, 'direct', { durable: true });
+  await ch.assertQueue(names.dlq, { durable: true });
+  await ch.bindQueue(names.dlq, names.dlx, queue);
+  for (const delay of delaysMs) {
+    await ch.assertQueue(names.retry(delay), {
+      durable: true,
+      messageTtl: delay,
+      deadLetterExchange: '',
+      deadLetterRoutingKey: queue
+    });
+  }
+  return names;
+}
+
+export function getAttempts(msg) {
+  return Number(msg.properties.headers?.[RETRY_HEADERS.ATTEMPTS] || 0);
+}
+
+// Publica e espera o confirm do broker (ConfirmChannel)
+function publishConfirmed(ch, exchange, routingKey, content, options) {
+  return new Promise((resolve, reject) => {
+    ch.publish(exchange, routingKey, content, options, err => (err ? reject(err) : resolve()));
+  });
+}
+
+// Copia as propriedades da mensagem original trocando/acrescentando headers
+function forwardOptions(msg, headers) {
+  const { properties, fields } = msg;
+  return {
+    persistent: true,
+    contentType: properties.contentType,
+    messageId: properties.messageId || randomUUID(),
+    correlationId: properties.correlationId,
+    type: properties.type,
+    timestamp: properties.timestamp,
+    headers: {
+      ...properties.headers,
+      [RETRY_HEADERS.ORIGINAL_EXCHANGE]: properties.headers?.[RETRY_HEADERS.ORIGINAL_EXCHANGE] ?? fields.exchange,
+      [RETRY_HEADERS.ORIGINAL_ROUTING_KEY]: properties.headers?.[RETRY_HEADERS.ORIGINAL_ROUTING_KEY] ?? fields.routingKey,
+      ...headers
+    }
+  };
+}
+
+// Opções onMalformed/onHandlerError para subscribe():
+// - malformada: direto para a DLQ
+// - handler falhou: volta via <queue>.retry.<ms> até maxAttempts; depois, DLQ
+export function retryPolicy(ch, queue, { service, delaysMs = DEFAULT_RETRY_DELAYS_MS, maxAttempts = delaysMs.length + 1 } = {}) {
+  const names = deadLetterNames(queue);
+  const log = createLogger(service);
+
+  // Só dá ack depois que a cópia foi confirmada; se o publish falhar, devolve para a fila
+  async function forward(msg, exchange, routingKey, headers) {
+    try {
+      await publishConfirmed(ch, exchange, routingKey, msg.content, forwardOptions(msg, headers));
+      ch.ack(msg);
+      messagesAcked.inc({ queue });
+    } catch (err) {
+      log.error('could not forward message', { routingKey, err: err.message });
+      publishFailures.inc({ exchange, routing_key: routingKey, reason: 'broker' });
+      ch.nack(msg, false, true);
+      messagesNacked.inc({ queue, requeue: 'true' });
+    }
+  }
+
+  function deadLetter(msg, reason, err) {
+    log.error('dead-lettering message', { messageId: msg.properties.messageId, reason, err: err.message });
+    return forward(msg, names.dlx, queue, {
+      [RETRY_HEADERS.ATTEMPTS]: getAttempts(msg) + (reason === DEAD_LETTER_REASONS.MAX_ATTEMPTS ? 1 : 0),
+      [RETRY_HEADERS.LAST_ERROR]: err.message,
+      [RETRY_HEADERS.REASON]: reason,
+      [RETRY_HEADERS.DEAD_LETTERED_AT]: new Date().toISOString()
+    });
+  }
+
+  return {
+    onMalformed: (err, msg) => deadLetter(msg, DEAD_LETTER_REASONS.MALFORMED, err),
+    onHandlerError: (err, msg) => {
+      const attempts = getAttempts(msg) + 1;
+      if (attempts >= maxAttempts) return deadLetter(msg, DEAD_LETTER_REASONS.MAX_ATTEMPTS, err);
+
+      const delay = delaysMs[Math.min(attempts - 1, delaysMs.length - 1)];
+      log.warn('retrying message', { messageId: msg.properties.messageId, delayMs: delay, attempts, maxAttempts });
+      // Default exchange: routing key = nome da fila de retry
+      return forward(msg, '', names.retry(delay), {
+        [RETRY_HEADERS.ATTEMPTS]: attempts,
+        [RETRY_HEADERS.LAST_ERROR]: err.message
+      });
+    }
+  };
+}
+
+// Mensagem da DLQ no formato exposto pela API de admin
+export function describeDeadLetter(msg) {
+  const headers = msg.properties.headers || {};
+  let body;
+  try {
+    body = JSON.parse(msg.content.toString());
+  } catch {
+    body = msg.content.toString();
+  }
+  return {
+    messageId: msg.properties.messageId || null,
+    type: msg.properties.type || null,
+    routingKey: headers[RETRY_HEADERS.ORIGINAL_ROUTING_KEY] || null,
+    reason: headers[RETRY_HEADERS.REASON] || null,
+    attempts: Number(headers[RETRY_HEADERS.ATTEMPTS] || 0),
+    lastError: headers[RETRY_HEADERS.LAST_ERROR] || null,
+    deadLetteredAt: headers[RETRY_HEADERS.DEAD_LETTERED_AT] || null,
+    body
+  };
+}
+
+// Operações de admin sobre a DLQ. Cada operação abre um canal próprio e lê as
+// mensagens sem ack; ao fechar o canal, as que não foram tratadas voltam para a DLQ
+// na ordem original. getConnection() devolve a conexão AMQP atual (ou null).
+export function createDeadLetterAdmin({ getConnection, queue, maxScan = 1000 }) {
+  const names = deadLetterNames(queue);
+
+  async function withChannel(fn) {
+    const conn = getConnection();
+    if (!conn) {
+      const err = new Error('AMQP indisponível');
+      err.status = 503;
+      throw err;
+    }
+    const ch = await conn.createConfirmChannel();
+    try {
+      return await fn(ch);
+    } finally {
+      await ch.close();
+    }
+  }
+
+  // Percorre a DLQ até visit() devolver true ou a fila acabar
+  async function scan(ch, visit) {
+    for (let i = 0; i < maxScan; i++) {
+      const msg = await ch.get(names.dlq, { noAck: false });
+      if (!msg) return;
+      if (await visit(msg)) return;
+    }
+  }
+
+  async function findById(ch, messageId) {
+    let found = null;
+    await scan(ch, msg => {
+      if (msg.properties.messageId !== messageId) return false;
+      found = msg;
+      return true;
+    });
+    return found;
+  }
+
+  return {
+    queue: names.dlq,
+
+    async list({ limit = 20 } = {}) {
+      return withChannel(async ch => {
+        const { messageCount } = await ch.checkQueue(names.dlq);
+        const messages = [];
+        await scan(ch, msg => {
+          messages.push(describeDeadLetter(msg));
+          return messages.length >= limit;
+        });
+        return { queue: names.dlq, count: messageCount, messages };
+      });
+    },
+
+    async get(messageId) {
+      return withChannel(async ch => {
+        const msg = await findById(ch, messageId);
+        return msg && describeDeadLetter(msg);
+      });
+    },
+
+    // Republica na fila principal com o contador de tentativas zerado
+    async replay(messageId) {
+      return withChannel(async ch => {
+        const msg = await findById(ch, messageId);
+        if (!msg) return null;
+        const headers = { ...msg.properties.headers };
+        delete headers[RETRY_HEADERS.REASON];
+        delete headers[RETRY_HEADERS.DEAD_LETTERED_AT];
+        delete headers[RETRY_HEADERS.LAST_ERROR];
+        headers[RETRY_HEADERS.ATTEMPTS] = 0;
+        await publishConfirmed(ch, '', queue, msg.content, { ...forwardOptions(msg, {}), headers });
+        ch.ack(msg);
+        return describeDeadLetter(msg);
+      });
+    },
+
+    async remove(messageId) {
+      return withChannel(async ch => {
+        const msg = await findById(ch, messageId);
+        if (!msg) return false;
+        ch.ack(msg);
+        return true;
+      });
+    },
+
+    async purge() {
+      return withChannel(async ch => {
+        const { messageCount } = await ch.purgeQueue(names.dlq);
+        return { purged: messageCount };
+      });
+    }
+  };
+}
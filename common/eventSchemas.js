@@ -0,0 +1,156 @@
+// JSON Schemas dos payloads, por tipo de evento e versão.
+// Mudança incompatível no payload = nova versão aqui + EVENT_VERSIONS em events.js.
+// Consumidores continuam aceitando as versões antigas enquanto elas existirem no mapa.
+
+const timestamp = { type: 'string', format: 'date-time' };
+// version da entidade (common/concurrency.js). Opcional: eventos publicados antes dela
+// continuam válidos, e o consumidor usa o updatedAt para ordená-los
+const entityVersion = { type: 'integer', minimum: 1 };
+
+const userV1 = {
+  type: 'object',
+  required: ['id', 'name', 'email', 'createdAt', 'updatedAt'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string' },
+    email: { type: 'string', format: 'email' },
+    role: { type: 'string', enum: ['customer', 'admin'] },
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    deletedAt: { anyOf: [timestamp, { type: 'null' }] },
+    version: entityVersion
+  },
+  // O hash da senha nunca pode sair do users-service
+  not: { required: ['passwordHash'] }
+};
+
+// Mesmo formato do usuário, com deletedAt obrigatório
+const userDeletedV1 = {
+  ...userV1,
+  required: [...userV1.required, 'deletedAt'],
+  properties: { ...userV1.properties, deletedAt: timestamp }
+};
+
+const orderV1 = {
+  type: 'object',
+  required: ['id', 'userId', 'items', 'total', 'status', 'createdAt'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    userId: { type: 'string', minLength: 1 },
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['sku', 'qty', 'unitPrice'],
+        properties: {
+          sku: { type: 'string', minLength: 1 },
+          qty: { type: 'integer', minimum: 1 },
+          unitPrice: { type: 'number', minimum: 0 }
+        }
+      }
+    },
+    total: { type: 'number', minimum: 0 },
+    status: { type: 'string' },
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    version: entityVersion
+  }
+};
+
+// Transições da máquina de estados do pedido (order.cancelled, order.paid, ...)
+const orderStatusChangedV1 = {
+  type: 'object',
+  required: ['orderId', 'userId', 'from', 'status'],
+  properties: {
+    orderId: { type: 'string', minLength: 1 },
+    userId: { type: 'string', minLength: 1 },
+    from: { type: 'string' },
+    status: { type: 'string' },
+    version: entityVersion
+  }
+};
+
+// Saga do pedido: todo comando e resposta carrega o sagaId e o orderId.
+// Compensações (inventory.release, payment.void) usam só os dois campos.
+const sagaMessageV1 = {
+  type: 'object',
+  required: ['sagaId', 'orderId'],
+  properties: {
+    sagaId: { type: 'string', minLength: 1 },
+    orderId: { type: 'string', minLength: 1 }
+  }
+};
+
+const inventoryReserveV1 = {
+  ...sagaMessageV1,
+  required: [...sagaMessageV1.required, 'items'],
+  properties: {
+    ...sagaMessageV1.properties,
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['sku', 'qty'],
+        properties: {
+          sku: { type: 'string', minLength: 1 },
+          qty: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }
+};
+
+const paymentAuthorizeV1 = {
+  ...sagaMessageV1,
+  required: [...sagaMessageV1.required, 'userId', 'amount'],
+  properties: {
+    ...sagaMessageV1.properties,
+    userId: { type: 'string', minLength: 1 },
+    amount: { type: 'number', minimum: 0 }
+  }
+};
+
+// Resposta negativa de um participante (estoque insuficiente, pagamento recusado)
+const sagaFailureV1 = {
+  ...sagaMessageV1,
+  required: [...sagaMessageV1.required, 'reason'],
+  properties: { ...sagaMessageV1.properties, reason: { type: 'string' } }
+};
+
+export const EVENT_SCHEMAS = {
+  'user.created': { 1: userV1 },
+  'user.updated': { 1: userV1 },
+  'user.deleted': { 1: userDeletedV1 },
+  'order.created': { 1: orderV1 },
+  'order.cancelled': { 1: orderStatusChangedV1 },
+  'order.paid': { 1: orderStatusChangedV1 },
+  'order.shipped': { 1: orderStatusChangedV1 },
+  'order.delivered': { 1: orderStatusChangedV1 },
+  'order.refunded': { 1: orderStatusChangedV1 },
+  'order.confirmed': { 1: orderStatusChangedV1 },
+  'order.rejected': { 1: orderStatusChangedV1 },
+  'inventory.reserve': { 1: inventoryReserveV1 },
+  'inventory.reserved': { 1: sagaMessageV1 },
+  'inventory.rejected': { 1: sagaFailureV1 },
+  'inventory.release': { 1: sagaMessageV1 },
+  'payment.authorize': { 1: paymentAuthorizeV1 },
+  'payment.authorized': { 1: sagaMessageV1 },
+  'payment.declined': { 1: sagaFailureV1 },
+  'payment.void': { 1: sagaMessageV1 }
+};
+
+// Envelope comum a todas as mensagens publicadas em app.topic
+export const ENVELOPE_SCHEMA = {
+  type: 'object',
+  required: ['eventId', 'type', 'version', 'occurredAt', 'correlationId', 'payload'],
+  properties: {
+    eventId: { type: 'string', format: 'uuid' },
+    type: { type: 'string' },
+    version: { type: 'integer', minimum: 1 },
+    occurredAt: timestamp,
+    correlationId: { type: ['string', 'null'] },
+    payload: { type: 'object' }
+  }
+};
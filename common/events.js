@@ -1,27 +1,107 @@
-/*
-ERRO:
-orders-service@1.0.0 start > node src/index.js file:///app/src/index.js:6
-import { ROUTING_KEYS } from '../common/events.js';
-SyntaxError: The requested module '../common/events.js'
-does not provide an export named 'ROUTING_KEYS' at ModuleJob._instantiate
-(node:internal/modules/esm/module_job:213:21) at async ModuleJob.run
-(node:internal/modules/esm/module_job:320:5) at async ModuleLoader.import
-(node:internal/modules/esm/loader:606:24) at async asyncRunEntryPointWithESMLoader
-(node:internal/modules/run_main:117:5) Node.js v20.19.5
-*/
+import { randomUUID } from 'crypto';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { EVENT_SCHEMAS, ENVELOPE_SCHEMA } from './eventSchemas.js';
 
 // Alterei o module.exports para export const
 export const ROUTING_KEYS = {
   USER_CREATED: 'user.created',
   USER_UPDATED: 'user.updated', // <-- ADICIONADO
+  USER_DELETED: 'user.deleted', // soft delete no users-service
   ORDER_CREATED: 'order.created',
-  ORDER_CANCELLED: 'order.cancelled' // <-- ADICIONADO
+  ORDER_CANCELLED: 'order.cancelled', // <-- ADICIONADO
+  // Transições do ciclo de vida do pedido (orders-service/src/orderStateMachine.js)
+  ORDER_PAID: 'order.paid',
+  ORDER_SHIPPED: 'order.shipped',
+  ORDER_DELIVERED: 'order.delivered',
+  ORDER_REFUNDED: 'order.refunded',
+  // Saga de criação do pedido (orders-service/src/orderSaga.js): pending -> confirmed | rejected
+  ORDER_CONFIRMED: 'order.confirmed',
+  ORDER_REJECTED: 'order.rejected',
+  // Comandos da saga e respostas dos participantes (services/saga-participants)
+  INVENTORY_RESERVE: 'inventory.reserve',
+  INVENTORY_RESERVED: 'inventory.reserved',
+  INVENTORY_REJECTED: 'inventory.rejected',
+  INVENTORY_RELEASE: 'inventory.release',
+  PAYMENT_AUTHORIZE: 'payment.authorize',
+  PAYMENT_AUTHORIZED: 'payment.authorized',
+  PAYMENT_DECLINED: 'payment.declined',
+  PAYMENT_VOID: 'payment.void'
 };
 
-// ANTIGO COM ERRO
-// module.exports = {
-//   ROUTING_KEYS: {
-//     USER_CREATED: 'user.created',
-//     ORDER_CREATED: 'order.created'
-//   }
-// };
+// Versão atual (publicada) do payload de cada evento; schemas em eventSchemas.js
+export const EVENT_VERSIONS = {
+  [ROUTING_KEYS.USER_CREATED]: 1,
+  [ROUTING_KEYS.USER_UPDATED]: 1,
+  [ROUTING_KEYS.USER_DELETED]: 1,
+  [ROUTING_KEYS.ORDER_CREATED]: 1,
+  [ROUTING_KEYS.ORDER_CANCELLED]: 1,
+  [ROUTING_KEYS.ORDER_PAID]: 1,
+  [ROUTING_KEYS.ORDER_SHIPPED]: 1,
+  [ROUTING_KEYS.ORDER_DELIVERED]: 1,
+  [ROUTING_KEYS.ORDER_REFUNDED]: 1,
+  [ROUTING_KEYS.ORDER_CONFIRMED]: 1,
+  [ROUTING_KEYS.ORDER_REJECTED]: 1,
+  [ROUTING_KEYS.INVENTORY_RESERVE]: 1,
+  [ROUTING_KEYS.INVENTORY_RESERVED]: 1,
+  [ROUTING_KEYS.INVENTORY_REJECTED]: 1,
+  [ROUTING_KEYS.INVENTORY_RELEASE]: 1,
+  [ROUTING_KEYS.PAYMENT_AUTHORIZE]: 1,
+  [ROUTING_KEYS.PAYMENT_AUTHORIZED]: 1,
+  [ROUTING_KEYS.PAYMENT_DECLINED]: 1,
+  [ROUTING_KEYS.PAYMENT_VOID]: 1
+};
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+const validateEnvelope = ajv.compile(ENVELOPE_SCHEMA);
+const payloadValidators = {};
+for (const [type, versions] of Object.entries(EVENT_SCHEMAS)) {
+  for (const [version, schema] of Object.entries(versions)) {
+    payloadValidators[`${type}@${version}`] = ajv.compile(schema);
+  }
+}
+
+// Evento fora do contrato (envelope ou payload inválido, tipo/versão desconhecidos)
+export class EventValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'EventValidationError';
+    this.errors = errors;
+  }
+}
+
+function formatErrors(errors) {
+  return (errors || []).map(e => `${e.instancePath || '/'} ${e.message}`).join('; ');
+}
+
+export function validateEvent(event) {
+  if (!validateEnvelope(event)) {
+    throw new EventValidationError(`envelope inválido: ${formatErrors(validateEnvelope.errors)}`, validateEnvelope.errors);
+  }
+  const validatePayload = payloadValidators[`${event.type}@${event.version}`];
+  if (!validatePayload) {
+    throw new EventValidationError(`evento desconhecido: ${event.type} v${event.version}`);
+  }
+  if (!validatePayload(event.payload)) {
+    throw new EventValidationError(
+      `payload inválido para ${event.type} v${event.version}: ${formatErrors(validatePayload.errors)}`,
+      validatePayload.errors
+    );
+  }
+  return event;
+}
+
+// Monta o envelope { eventId, type, version, occurredAt, correlationId, payload } já validado.
+// O payload passa por JSON para que Dates virem strings ISO antes da validação.
+export function createEvent(type, payload, { correlationId = null, version = EVENT_VERSIONS[type] } = {}) {
+  if (!version) throw new EventValidationError(`evento desconhecido: ${type}`);
+  return validateEvent({
+    eventId: randomUUID(),
+    type,
+    version,
+    occurredAt: new Date().toISOString(),
+    correlationId,
+    payload: JSON.parse(JSON.stringify(payload))
+  });
+}
@@ -0,0 +1,65 @@
+// Health checks dos serviços.
+//   GET /health/live   o processo está de pé (sem olhar dependências; serve para restart)
+//   GET /health/ready  banco, broker etc. respondem; 503 com o detalhe de cada dependência
+//
+// checks = { nome: fn } ou { nome: { check: fn, critical: false } }. fn pode devolver
+// detalhes ({ state: 'open', ok: false }) ou lançar erro. Um check não crítico aparece na
+// resposta mas não derruba o readiness (ex.: breaker do users-service, que tem fallback).
+const DEFAULT_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 2000);
+
+export function liveness(service) {
+  return (req, res) => res.json({ ok: true, service });
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`sem resposta em ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(fn, timeoutMs) {
+  const start = Date.now();
+  try {
+    const details = await withTimeout(Promise.resolve().then(fn), timeoutMs);
+    return { ok: true, ...details, latencyMs: Date.now() - start };
+  } catch (err) {
+    return { ok: false, error: err.message, latencyMs: Date.now() - start };
+  }
+}
+
+export function readiness(service, checks, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const entries = Object.entries(checks).map(([name, entry]) =>
+    typeof entry === 'function' ? { name, check: entry, critical: true } : { name, critical: true, ...entry }
+  );
+
+  return async (req, res) => {
+    const results = await Promise.all(entries.map(({ check }) => runCheck(check, timeoutMs)));
+    const body = { ok: true, service, checks: {} };
+    entries.forEach(({ name, critical }, i) => {
+      body.checks[name] = critical ? results[i] : { ...results[i], critical };
+      if (critical && !results[i].ok) body.ok = false;
+    });
+    res.status(body.ok ? 200 : 503).json(body);
+  };
+}
+
+// ### Checks comuns ###
+
+export function databaseCheck(prisma) {
+  return () => prisma.$queryRaw`SELECT 1`.then(() => ({}));
+}
+
+// connection = createAmqpConnection() de amqpConnection.js (fora do ar enquanto reconecta)
+export function brokerCheck(connection) {
+  return () => ({ ok: connection.state === 'connected', state: connection.state });
+}
+
+// Breaker do opossum: aberto = dependência fora (as chamadas vão direto para o fallback)
+export function breakerCheck(breaker) {
+  return () => {
+    const state = breaker.opened ? 'open' : breaker.halfOpen ? 'half-open' : 'closed';
+    return { ok: state !== 'open', state };
+  };
+}
@@ -0,0 +1,143 @@
+// Suporte ao header Idempotency-Key nas rotas de criação.
+// A primeira requisição com uma chave grava a "impressão digital" do corpo e, ao terminar,
+// o status + corpo da resposta (tabela IdempotencyKey de cada serviço). Repetições com a
+// mesma chave devolvem a resposta original sem executar o handler de novo.
+//   - mesma chave, corpo diferente      -> 422
+//   - mesma chave, primeira ainda rodando -> 409 (com Retry-After)
+//   - resposta 5xx não é guardada (o cliente pode tentar de novo com a mesma chave)
+// A execução em andamento segura a chave por IDEMPOTENCY_LEASE_MS (lockedUntil). Se o processo
+// cair no meio, a chave não fica presa até o TTL: vencido o prazo, uma repetição assume a chave.
+import { createHash } from 'crypto';
+import { createLogger } from './logger.js';
+import { toJsonColumn, fromJsonColumn } from './database.js';
+
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+export const REPLAYED_HEADER = 'idempotent-replayed';
+
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LEASE_MS = 30 * 1000;
+
+export const IDEMPOTENCY_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+// JSON com as chaves ordenadas: { a, b } e { b, a } geram a mesma impressão digital
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function fingerprint(req) {
+  return createHash('sha256').update(stableStringify(req.body)).digest('hex');
+}
+
+// Chave vale por rota e por usuário: a mesma chave de dois clientes não colide
+function scopeOf(req) {
+  return `${req.method} ${req.baseUrl}${req.path} ${req.get('x-user-id') || 'anonymous'}`;
+}
+
+function inProgress(res, lockedUntil) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000))));
+  return res.status(409).json({ error: 'Requisição com esta Idempotency-Key ainda em processamento' });
+}
+
+// IDEMPOTENCY_TTL_MS define por quanto tempo uma chave é lembrada (padrão: 24h) e
+// IDEMPOTENCY_LEASE_MS por quanto tempo uma execução em andamento segura a chave (padrão: 30s)
+export function idempotency({
+  prisma,
+  service,
+  ttlMs = Number(process.env.IDEMPOTENCY_TTL_MS || DEFAULT_TTL_MS),
+  leaseMs = Number(process.env.IDEMPOTENCY_LEASE_MS || DEFAULT_LEASE_MS)
+}) {
+  const log = createLogger(service);
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) return next();
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key deve ter entre 1 e ${MAX_KEY_LENGTH} caracteres` });
+    }
+
+    const scope = scopeOf(req);
+    const id = { scope_key: { scope, key } };
+    const hash = fingerprint(req);
+
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + leaseMs);
+    try {
+      const existing = await prisma.idempotencyKey.findUnique({ where: id });
+      const expired = existing && existing.expiresAt <= now;
+      if (expired) {
+        await prisma.idempotencyKey.deleteMany({ where: { scope, key } });
+      } else if (existing) {
+        if (existing.fingerprint !== hash) {
+          return res.status(422).json({ error: 'Idempotency-Key já usada com outro corpo de requisição' });
+        }
+        if (existing.status === IDEMPOTENCY_STATUS.COMPLETED) {
+          res.set(REPLAYED_HEADER, 'true');
+          return res.status(existing.statusCode).json(fromJsonColumn(existing.response));
+        }
+        if (existing.lockedUntil > now) return inProgress(res, existing.lockedUntil);
+
+        // Lease vencido (a primeira execução caiu): assume a chave, se ninguém assumiu antes
+        const { count } = await prisma.idempotencyKey.updateMany({
+          where: { scope, key, status: IDEMPOTENCY_STATUS.IN_PROGRESS, lockedUntil: existing.lockedUntil },
+          data: { lockedUntil }
+        });
+        if (count === 0) return inProgress(res, lockedUntil);
+        log.warn('idempotency key taken over after lease expired', { key });
+      }
+
+      if (!existing || expired) {
+        await prisma.idempotencyKey.create({
+          data: { scope, key, fingerprint: hash, lockedUntil, expiresAt: new Date(now.getTime() + ttlMs) }
+        });
+      }
+    } catch (err) {
+      // Outra requisição com a mesma chave criou o registro entre o findUnique e o create
+      if (err.code === 'P2002') return inProgress(res, lockedUntil);
+      log.error('idempotency lookup error', { err: err.message });
+      return res.status(500).json({ error: 'Falha ao verificar a Idempotency-Key' });
+    }
+
+    // Captura o corpo enviado pelo handler para guardar junto com o status
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = body => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      try {
+        if (res.statusCode >= 500 || responseBody === undefined) {
+          await prisma.idempotencyKey.deleteMany({ where: { scope, key } });
+          return;
+        }
+        await prisma.idempotencyKey.update({
+          where: id,
+          data: {
+            status: IDEMPOTENCY_STATUS.COMPLETED,
+            lockedUntil: null,
+            statusCode: res.statusCode,
+            response: toJsonColumn(responseBody)
+          }
+        });
+      } catch (err) {
+        log.error('idempotency store error', { err: err.message });
+      }
+    });
+
+    next();
+  };
+}
+
+// Limpeza periódica das chaves expiradas (agendada em index.js)
+export async function purgeExpiredIdempotencyKeys(prisma) {
+  const { count } = await prisma.idempotencyKey.deleteMany({ where: { expiresAt: { lte: new Date() } } });
+  return count;
+}
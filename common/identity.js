@@ -0,0 +1,40 @@
+// Identidade do usuário autenticado, repassada pelo gateway em headers confiáveis.
+// O gateway remove esses headers de qualquer requisição externa e só os preenche
+// a partir de um JWT válido; sem token ele envia só x-user-role: anonymous.
+// Sem nenhum dos headers a chamada é interna (serviço a serviço, dentro da rede do
+// docker-compose, que não publica as portas dos serviços) e não sofre restrição de dono.
+export const IDENTITY_HEADERS = {
+  ID: 'x-user-id',
+  ROLE: 'x-user-role',
+  EMAIL: 'x-user-email'
+};
+
+// Segredo do JWT emitido pelo users-service e verificado pelo gateway
+export const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
+
+export const ROLES = {
+  ADMIN: 'admin',
+  CUSTOMER: 'customer',
+  ANONYMOUS: 'anonymous' // requisição externa sem token (marcada pelo gateway)
+};
+
+export function getRequester(req) {
+  const id = req.get(IDENTITY_HEADERS.ID);
+  if (!id) {
+    return req.get(IDENTITY_HEADERS.ROLE) === ROLES.ANONYMOUS ? { id: null, role: ROLES.ANONYMOUS, email: null } : null;
+  }
+  return {
+    id,
+    role: req.get(IDENTITY_HEADERS.ROLE) || ROLES.CUSTOMER,
+    email: req.get(IDENTITY_HEADERS.EMAIL) || null
+  };
+}
+
+export function isAdmin(requester) {
+  return !requester || requester.role === ROLES.ADMIN;
+}
+
+// Admin (ou chamada interna) acessa tudo; cliente só acessa o que é dele
+export function canAccessOwned(requester, ownerId) {
+  return isAdmin(requester) || requester.id === ownerId;
+}
@@ -0,0 +1,48 @@
+// Logs estruturados: uma linha JSON por evento, sempre com service e correlationId.
+// LOG_LEVEL=debug|info|warn|error (padrão info)
+// LOG_FORMAT=json|pretty (pretty = "[service] mensagem {...}", mais legível no terminal)
+import { getCorrelationId } from './correlation.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+export function createLogger(service) {
+  const minLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  const pretty = process.env.LOG_FORMAT === 'pretty';
+
+  function write(level, msg, fields = {}) {
+    if (LEVELS[level] < minLevel) return;
+    const correlationId = getCorrelationId();
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+    if (pretty) {
+      const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+      const cid = correlationId ? ` (${correlationId})` : '';
+      stream.write(`[${service}] ${level.toUpperCase()} ${msg}${cid}${extra}\n`);
+      return;
+    }
+    stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, service, correlationId, msg, ...fields })}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+  };
+}
+
+// Substitui o morgan: uma linha por requisição, ao final da resposta
+export function requestLogger(log) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      log.info('request', {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - start) / 1e6
+      });
+    });
+    next();
+  };
+}
@@ -0,0 +1,110 @@
+// Publicação e consumo de eventos no exchange topic, sempre no envelope de events.js.
+// Os dois lados validam contra os schemas: quem publica não consegue mandar um
+// evento fora do contrato e quem consome rejeita (dead-letter) o que não bate.
+import { validateEvent, EventValidationError } from './events.js';
+import { runWithCorrelationId } from './correlation.js';
+import { createLogger } from './logger.js';
+import { publishFailures, messagesConsumed, messagesAcked, messagesNacked } from './metrics.js';
+
+// Publica um envelope já criado com createEvent. Exige um ConfirmChannel:
+// a Promise só resolve quando o broker confirma o recebimento.
+export function publishEvent(ch, exchange, event, { headers = {} } = {}) {
+  const labels = { exchange, routing_key: event?.type ?? 'unknown' };
+  try {
+    validateEvent(event);
+  } catch (err) {
+    publishFailures.inc({ ...labels, reason: 'invalid' });
+    throw err;
+  }
+  return new Promise((resolve, reject) => {
+    ch.publish(exchange, event.type, Buffer.from(JSON.stringify(event)), {
+      persistent: true,
+      contentType: 'application/json',
+      messageId: event.eventId,
+      correlationId: event.correlationId || undefined,
+      type: event.type,
+      timestamp: Math.floor(Date.parse(event.occurredAt) / 1000),
+      headers: { 'x-event-version': event.version, ...headers }
+    }, err => (err ? reject(err) : resolve()));
+  }).catch(err => {
+    publishFailures.inc({ ...labels, reason: 'broker' });
+    throw err;
+  });
+}
+
+// Lê e valida a mensagem; lança EventValidationError se não for um envelope válido
+export function decodeEvent(msg) {
+  let event;
+  try {
+    event = JSON.parse(msg.content.toString());
+  } catch (err) {
+    throw new EventValidationError(`JSON inválido: ${err.message}`);
+  }
+  return validateEvent(event);
+}
+
+// Consome a fila chamando handlers[event.type](payload, event, msg).
+// - mensagem malformada/fora do schema: onMalformed decide; padrão é nack sem requeue
+// - tipo sem handler: ack (o evento não interessa a este serviço)
+// - handler falhou: onHandlerError decide; padrão é nack sem requeue
+// retryPolicy() de deadLetter.js fornece onMalformed/onHandlerError com retry e DLQ.
+// Cada mensagem é tratada no contexto do correlationId do evento (logs e novos eventos herdam).
+export function subscribe(ch, queue, handlers, { service, onMalformed, onHandlerError } = {}) {
+  const log = createLogger(service);
+  const ack = msg => {
+    ch.ack(msg);
+    messagesAcked.inc({ queue });
+  };
+  const reject = msg => {
+    ch.nack(msg, false, false);
+    messagesNacked.inc({ queue, requeue: 'false' });
+  };
+
+  return ch.consume(queue, msg => {
+    if (!msg) return;
+    messagesConsumed.inc({ queue, type: msg.properties.type || 'unknown' });
+    return runWithCorrelationId(correlationIdOf(msg), () => handle(msg));
+  });
+
+  async function handle(msg) {
+    let event;
+    try {
+      event = decodeEvent(msg);
+    } catch (err) {
+      log.error('rejected malformed message', { queue, err: err.message });
+      if (onMalformed) {
+        await onMalformed(err, msg);
+      } else {
+        reject(msg);
+      }
+      return;
+    }
+
+    const handler = handlers[event.type];
+    if (!handler) {
+      ack(msg);
+      return;
+    }
+
+    try {
+      await handler(event.payload, event, msg);
+      ack(msg);
+    } catch (err) {
+      log.error('handler error', { type: event.type, eventId: event.eventId, err: err.message });
+      if (onHandlerError) {
+        await onHandlerError(err, msg, event);
+      } else {
+        reject(msg);
+      }
+    }
+  }
+}
+
+// O envelope traz o correlationId; a propriedade AMQP serve para mensagens malformadas
+function correlationIdOf(msg) {
+  try {
+    return JSON.parse(msg.content.toString()).correlationId || msg.properties.correlationId;
+  } catch {
+    return msg.properties.correlationId;
+  }
+}
@@ -0,0 +1,137 @@
+// Métricas Prometheus (prom-client), expostas em GET /metrics de cada serviço.
+//   http_request_duration_seconds  histograma por método, rota (padrão do Express) e status
+//   circuit_breaker_*              eventos e estado dos breakers do opossum
+//   amqp_publish_failures_total    publicações recusadas (schema) ou sem confirm do broker
+//   amqp_messages_*_total          mensagens consumidas / ack / nack por fila
+//   amqp_queue_messages            mensagens prontas na fila (lag do consumidor), lido no scrape
+// Todas as séries levam o label service (initMetrics).
+import client from 'prom-client';
+
+export const register = client.register;
+
+let initialized = false;
+
+// Chamado uma vez pelo app.js do serviço
+export function initMetrics(service) {
+  if (initialized) return;
+  initialized = true;
+  register.setDefaultLabels({ service });
+  client.collectDefaultMetrics({ register });
+}
+
+// ### HTTP ###
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duração das requisições HTTP',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+});
+
+// Usa o padrão da rota (/:id/pay) e não o path real, para não explodir a cardinalidade
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+export function httpMetrics() {
+  return (req, res, next) => {
+    const end = httpRequestDuration.startTimer();
+    res.on('finish', () => end({ method: req.method, route: routeOf(req), status_code: res.statusCode }));
+    next();
+  };
+}
+
+export function metricsHandler() {
+  return async (req, res) => {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  };
+}
+
+// ### Circuit breaker (opossum) ###
+const breakerEvents = new client.Counter({
+  name: 'circuit_breaker_events_total',
+  help: 'Eventos do circuit breaker (open, halfOpen, close, fallback)',
+  labelNames: ['breaker', 'event']
+});
+
+const breakerState = new client.Gauge({
+  name: 'circuit_breaker_state',
+  help: 'Estado do circuit breaker: 0 fechado, 0.5 meio-aberto, 1 aberto',
+  labelNames: ['breaker']
+});
+
+const BREAKER_STATES = { open: 1, halfOpen: 0.5, close: 0 };
+
+export function instrumentBreaker(breaker, name) {
+  breakerState.set({ breaker: name }, 0);
+  for (const [event, state] of Object.entries(BREAKER_STATES)) {
+    breaker.on(event, () => {
+      breakerEvents.inc({ breaker: name, event });
+      breakerState.set({ breaker: name }, state);
+    });
+  }
+}
+
+// O fallback não é do opossum (o breaker não tem fallback registrado): quem cai no
+// caminho alternativo (ex.: a réplica local de usuários no Orders) registra aqui
+export function recordBreakerFallback(name) {
+  breakerEvents.inc({ breaker: name, event: 'fallback' });
+}
+
+// ### AMQP ###
+export const publishFailures = new client.Counter({
+  name: 'amqp_publish_failures_total',
+  help: 'Publicações que falharam (reason: invalid = fora do schema, broker = sem confirm)',
+  labelNames: ['exchange', 'routing_key', 'reason']
+});
+
+export const messagesConsumed = new client.Counter({
+  name: 'amqp_messages_consumed_total',
+  help: 'Mensagens entregues ao consumidor',
+  labelNames: ['queue', 'type']
+});
+
+export const messagesAcked = new client.Counter({
+  name: 'amqp_messages_acked_total',
+  help: 'Mensagens confirmadas (ack) pelo consumidor',
+  labelNames: ['queue']
+});
+
+export const messagesNacked = new client.Counter({
+  name: 'amqp_messages_nacked_total',
+  help: 'Mensagens rejeitadas (nack) pelo consumidor',
+  labelNames: ['queue', 'requeue']
+});
+
+const watchedQueues = [];
+
+new client.Gauge({
+  name: 'amqp_queue_messages',
+  help: 'Mensagens prontas na fila (lag do consumidor)',
+  labelNames: ['queue'],
+  // Canal próprio a cada scrape: checkQueue de uma fila inexistente fecha o canal,
+  // e não queremos derrubar o canal do consumidor por causa de métrica
+  async collect() {
+    for (const { getConnection, queues } of watchedQueues) {
+      const conn = getConnection();
+      if (!conn) continue;
+      let ch;
+      try {
+        ch = await conn.createChannel();
+        for (const queue of queues) {
+          const { messageCount } = await ch.checkQueue(queue);
+          this.set({ queue }, messageCount);
+        }
+      } catch {
+        // Broker fora: mantém o último valor lido
+      } finally {
+        await ch?.close().catch(() => {});
+      }
+    }
+  }
+});
+
+// getConnection() devolve a conexão AMQP atual (ou null); chamar depois de declarar as filas
+export function watchQueueDepth(getConnection, queues) {
+  watchedQueues.push({ getConnection, queues });
+}
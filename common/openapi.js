@@ -0,0 +1,43 @@
+// Validação de requisições e respostas a partir do openapi.yaml de cada serviço.
+// O spec passa a ser a fonte da verdade: handlers não repetem checagens de formato.
+import * as OpenApiValidator from 'express-openapi-validator';
+import { createLogger } from './logger.js';
+
+// Respostas são validadas fora de produção (inclui os testes Jest), para que
+// divergências entre código e spec apareçam como 500 em vez de passarem batido.
+// OPENAPI_VALIDATE_RESPONSES=true|false força o comportamento.
+function shouldValidateResponses() {
+  if (process.env.OPENAPI_VALIDATE_RESPONSES) return process.env.OPENAPI_VALIDATE_RESPONSES === 'true';
+  return process.env.NODE_ENV !== 'production';
+}
+
+export function openApiValidator(apiSpec, { validateResponses = shouldValidateResponses() } = {}) {
+  return OpenApiValidator.middleware({
+    // O validador altera o documento ao resolver $refs; a Swagger UI usa o original
+    apiSpec: structuredClone(apiSpec),
+    validateRequests: { allErrors: true },
+    validateResponses: validateResponses ? { allErrors: true } : false,
+    // Rotas fora do spec (health, api-docs) seguem sem validação
+    ignoreUndocumented: true,
+    // /health e /metrics casariam com GET /{id} e seriam validados como um recurso
+    ignorePaths: /^\/(health|metrics)(\/.*)?$/
+  });
+}
+
+// Corpo de erro uniforme: { error, details: [{ path, message }] }
+export function openApiErrorHandler(service) {
+  const log = createLogger(service);
+  return (err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Invalid JSON body', details: [{ path: '/body', message: err.message }] });
+    }
+    if (!err.status || !Array.isArray(err.errors)) return next(err);
+
+    const details = err.errors.map(({ path, message }) => ({ path, message }));
+    if (err.status >= 500) {
+      log.error('response does not match openapi.yaml', { method: req.method, path: req.originalUrl, details });
+      return res.status(500).json({ error: 'Response validation failed', details });
+    }
+    res.status(err.status).json({ error: err.status === 400 ? 'Validation failed' : err.message, details });
+  };
+}
@@ -0,0 +1,163 @@
+// Transactional Outbox compartilhado entre os serviços.
+//
+// O evento é gravado na tabela OutboxEvent dentro da MESMA transação que altera
+// a entidade. Um relay em background lê as linhas pendentes, publica no
+// exchange usando publisher confirms e só então marca a linha como enviada.
+// Se o broker estiver fora, a linha continua pendente e é tentada de novo com
+// backoff exponencial — nenhum evento é perdido depois de um 201.
+//
+// A coluna payload guarda o envelope completo (events.js), e o id da linha é o
+// eventId — o mesmo messageId que o consumidor recebe.
+//
+// Com várias instâncias do serviço, cada uma roda um relay sobre a mesma tabela: antes de
+// publicar, o relay reivindica a linha por OUTBOX_LEASE_MS (claimedUntil), com um
+// updateMany condicional como o lease de idempotency.js. Quem perde a disputa pula a linha;
+// se o processo cair no meio, passado o lease a linha volta para o próximo lote.
+import { createEvent, EventValidationError } from './events.js';
+import { publishEvent } from './messaging.js';
+import { getCorrelationId, runWithCorrelationId } from './correlation.js';
+import { createLogger } from './logger.js';
+import { toJsonColumn, fromJsonColumn } from './database.js';
+
+const DEFAULT_LEASE_MS = 30 * 1000;
+
+// Grava o evento na transação corrente (tx = cliente recebido em prisma.$transaction).
+// Um payload fora do schema lança erro e desfaz a transação inteira.
+// O correlationId padrão é o da requisição/mensagem que gerou o evento.
+export function enqueueEvent(tx, routingKey, payload, { correlationId = getCorrelationId() } = {}) {
+  const event = createEvent(routingKey, payload, { correlationId });
+  return tx.outboxEvent.create({
+    data: { id: event.eventId, routingKey, payload: toJsonColumn(event) }
+  });
+}
+
+function correlationIdOf(row) {
+  try {
+    return fromJsonColumn(row.payload).correlationId;
+  } catch {
+    return null;
+  }
+}
+
+export function createOutboxRelay({
+  prisma,
+  getChannel,
+  exchange,
+  service,
+  intervalMs = 1000,
+  batchSize = 50,
+  maxBackoffMs = 60000,
+  leaseMs = Number(process.env.OUTBOX_LEASE_MS || DEFAULT_LEASE_MS)
+}) {
+  const log = createLogger(service);
+  let timer = null;
+  let running = false;
+  let pendingFlush = false;
+
+  async function flush() {
+    if (running) {
+      pendingFlush = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        pendingFlush = false;
+        await publishBatch();
+      } while (pendingFlush);
+    } catch (err) {
+      log.error('outbox relay error', { err: err.message });
+    } finally {
+      running = false;
+    }
+  }
+
+  async function publishBatch() {
+    const ch = getChannel();
+    if (!ch) return; // Sem canal: as linhas continuam pendentes
+
+    const now = new Date();
+    const rows = await prisma.outboxEvent.findMany({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { lte: now },
+        OR: [{ claimedUntil: null }, { claimedUntil: { lte: now } }]
+      },
+      orderBy: { createdAt: 'asc' },
+      take: batchSize
+    });
+
+    for (const row of rows) {
+      if (!(await claim(row))) continue; // Outra instância já está publicando a linha
+      // Logs de cada linha saem com o correlationId do próprio evento
+      const stop = await runWithCorrelationId(correlationIdOf(row), () => publishRow(ch, row));
+      if (stop) return;
+    }
+  }
+
+  // Condicional no claimedUntil lido: das instâncias que leram a linha, só uma muda o valor
+  async function claim(row) {
+    const { count } = await prisma.outboxEvent.updateMany({
+      where: { id: row.id, status: 'pending', claimedUntil: row.claimedUntil ?? null },
+      data: { claimedUntil: new Date(Date.now() + leaseMs) }
+    });
+    return count === 1;
+  }
+
+  // Devolve true quando o lote deve parar (broker com problema)
+  async function publishRow(ch, row) {
+    try {
+      // Aguarda o ack do broker (publisher confirms)
+      await publishEvent(ch, exchange, fromJsonColumn(row.payload));
+      await prisma.outboxEvent.update({
+        where: { id: row.id },
+        data: { status: 'sent', sentAt: new Date(), attempts: { increment: 1 }, lastError: null, claimedUntil: null }
+      });
+      log.info('published event', { routingKey: row.routingKey, eventId: row.id });
+      return false;
+    } catch (err) {
+      if (err instanceof EventValidationError || err instanceof SyntaxError) {
+        // Linha fora do contrato nunca vai publicar: marca como failed e segue o lote
+        await prisma.outboxEvent.update({
+          where: { id: row.id },
+          data: { status: 'failed', attempts: { increment: 1 }, lastError: err.message, claimedUntil: null }
+        });
+        log.error('outbox event rejected', { routingKey: row.routingKey, eventId: row.id, err: err.message });
+        return false;
+      }
+      const attempts = row.attempts + 1;
+      const backoff = Math.min(2 ** attempts * 500, maxBackoffMs);
+      await prisma.outboxEvent.update({
+        where: { id: row.id },
+        data: {
+          attempts,
+          lastError: err.message,
+          nextAttemptAt: new Date(Date.now() + backoff),
+          claimedUntil: null
+        }
+      });
+      log.error('publish error', { routingKey: row.routingKey, eventId: row.id, attempts, err: err.message });
+      // Broker com problema: para o lote, as próximas linhas falhariam também.
+      // Não garante ordem: esta linha volta só depois do backoff e as seguintes podem sair
+      // antes dela; os consumidores se guiam pela version da entidade, não pela ordem de chegada.
+      return true;
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(flush, intervalMs);
+      timer.unref?.();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    // Dispara uma publicação imediata (ex.: logo após o commit da transação)
+    notify() {
+      if (timer) flush();
+    },
+    flush
+  };
+}
@@ -0,0 +1,89 @@
+// Paginação por cursor, ordenação com whitelist e helpers de filtro para as listagens.
+//
+// Resposta padrão: { data: [...], nextCursor: string | null, limit }
+// O cursor é opaco para o cliente (base64url do id do último item da página) e
+// independe do prefixo da rota, então funciona igual chamando o serviço direto
+// ou pelo gateway (/users, /orders).
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Erro de query string inválida -> 400
+export class QueryParamError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryParamError';
+  }
+}
+
+export function encodeCursor(id) {
+  return Buffer.from(String(id), 'utf8').toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  const id = Buffer.from(String(cursor), 'base64url').toString('utf8');
+  if (!id || encodeCursor(id) !== cursor) throw new QueryParamError('cursor inválido');
+  return id;
+}
+
+export function parseLimit(value, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+  if (value === undefined) return defaultLimit;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw new QueryParamError(`limit deve ser um inteiro entre 1 e ${maxLimit}`);
+  }
+  return limit;
+}
+
+// sort=campo (asc) ou sort=-campo (desc); o id entra como desempate para o cursor ser estável
+export function parseSort(value, allowedFields, defaultSort) {
+  const raw = value === undefined ? defaultSort : String(value);
+  const desc = raw.startsWith('-');
+  const field = desc ? raw.slice(1) : raw;
+  if (!allowedFields.includes(field)) {
+    throw new QueryParamError(`sort deve ser um de: ${allowedFields.join(', ')} (prefixo '-' para decrescente)`);
+  }
+  const direction = desc ? 'desc' : 'asc';
+  return field === 'id' ? [{ id: direction }] : [{ [field]: direction }, { id: direction }];
+}
+
+export function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) throw new QueryParamError(`${name} deve ser uma data ISO 8601`);
+  return date;
+}
+
+export function parseNumber(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) throw new QueryParamError(`${name} deve ser um número`);
+  return number;
+}
+
+// Monta { gte, lte } ignorando os limites ausentes (undefined se nenhum)
+export function range(min, max) {
+  if (min === undefined && max === undefined) return undefined;
+  const filter = {};
+  if (min !== undefined) filter.gte = min;
+  if (max !== undefined) filter.lte = max;
+  return filter;
+}
+
+// Executa o findMany paginado (model = prisma.user, prisma.order, ...)
+export async function paginate(model, { where, orderBy, limit, cursor, include }) {
+  const rows = await model.findMany({
+    where,
+    orderBy,
+    include,
+    take: limit + 1, // Um a mais para saber se existe próxima página
+    ...(cursor ? { cursor: { id: decodeCursor(cursor) }, skip: 1 } : {})
+  });
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    data,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1].id) : null,
+    limit
+  };
+}
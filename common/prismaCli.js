@@ -0,0 +1,30 @@
+// Roda o Prisma CLI com o schema do DATABASE_PROVIDER (common/database.js).
+// Uso, na pasta do serviço (npm run db:generate / db:migrate; no Docker, node common/prismaCli.js):
+//   generate   -> prisma generate
+//   migrate    -> PostgreSQL: prisma migrate deploy
+//                 SQLite: prisma db push (dev local, sem migrations)
+// --accept-data-loss só vale para o db push do SQLite: o Dockerfile passa a flag (o banco do
+// container é descartável); localmente o Prisma pergunta antes de apagar dados.
+import { spawnSync } from 'child_process';
+import { databaseProvider, schemaPath } from './database.js';
+
+const COMMANDS = {
+  generate: () => ['generate'],
+  migrate: (provider, { acceptDataLoss }) => (provider === 'sqlite'
+    ? ['db', 'push', ...(acceptDataLoss ? ['--accept-data-loss'] : [])]
+    : ['migrate', 'deploy'])
+};
+
+const [command, ...flags] = process.argv.slice(2);
+if (!COMMANDS[command]) {
+  console.error(`uso: node common/prismaCli.js ${Object.keys(COMMANDS).join('|')} [--accept-data-loss]`);
+  process.exit(1);
+}
+
+const provider = databaseProvider();
+const options = { acceptDataLoss: flags.includes('--accept-data-loss') };
+const args = ['prisma', ...COMMANDS[command](provider, options), '--schema', schemaPath(provider)];
+console.log(`[prisma] ${provider}: npx ${args.join(' ')}`);
+
+const result = spawnSync('npx', args, { stdio: 'inherit' });
+process.exit(result.status ?? 1);
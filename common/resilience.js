@@ -0,0 +1,213 @@
+// Políticas de resiliência para chamadas a outros serviços (downstreams).
+//
+// Cada downstream tem uma política própria e a chamada passa por, nesta ordem:
+//   bulkhead  -> no máximo maxConcurrent em andamento (+ maxQueue esperando); o resto é recusado na hora
+//   breaker   -> opossum; aberto = falha imediata, sem tocar na rede
+//   retry     -> só erros transitórios, com backoff exponencial e jitter (retries tentativas extras)
+//   timeout   -> por tentativa; a action recebe o AbortSignal
+//
+// A política vem, do menos para o mais específico, de: DEFAULT_POLICY, defaults do serviço,
+// arquivo JSON em RESILIENCE_CONFIG ({ "users-service": { "timeoutMs": 1500 } }) e variáveis
+// RESILIENCE_<DOWNSTREAM>_<CAMPO> (ex.: RESILIENCE_USERS_SERVICE_TIMEOUT_MS=1500).
+//
+// A action decide o que é falha: resposta "negativa" esperada (ex.: 404 de usuário inexistente)
+// deve virar um valor de retorno, não um erro — assim não conta no breaker nem é repetida.
+import { readFileSync } from 'fs';
+import opossum from 'opossum';
+import { instrumentBreaker } from './metrics.js';
+
+export const DEFAULT_POLICY = {
+  timeoutMs: 2000,
+  retries: 2,
+  retryBaseDelayMs: 100,
+  retryMaxDelayMs: 1000,
+  maxConcurrent: 10,
+  maxQueue: 20,
+  errorThresholdPercentage: 50,
+  volumeThreshold: 5, // chamadas na janela antes de o breaker poder abrir
+  resetTimeoutMs: 10000, // aberto -> meio-aberto
+  rollingWindowMs: 10000
+};
+
+// Erro de chamada a um downstream. transient = vale tentar de novo (rede, timeout, 5xx);
+// erros não transitórios (ex.: 400) não são repetidos nem contam no breaker.
+export class DownstreamError extends Error {
+  constructor(downstream, message, { status, code = 'DOWNSTREAM_ERROR', transient = true } = {}) {
+    super(message);
+    this.name = 'DownstreamError';
+    this.downstream = downstream;
+    this.status = status;
+    this.code = code;
+    this.transient = transient;
+  }
+}
+
+// Resposta HTTP inesperada -> DownstreamError (429 e 5xx são transitórios)
+export function httpStatusError(downstream, status) {
+  return new DownstreamError(downstream, `${downstream} respondeu ${status}`, {
+    status,
+    code: 'HTTP_STATUS',
+    transient: status === 429 || status >= 500
+  });
+}
+
+export function isTransient(err) {
+  return !(err instanceof DownstreamError) || err.transient;
+}
+
+const toEnvName = value => value.replace(/[A-Z]/g, c => `_${c}`).replace(/[^a-zA-Z0-9]/g, '_').toUpperCase();
+
+function readConfigFile(file) {
+  if (!file) return {};
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`RESILIENCE_CONFIG inválido (${file}): ${err.message}`);
+  }
+}
+
+// Política efetiva do downstream (lança Error com o campo inválido, para falhar no boot)
+export function loadPolicy(downstream, defaults = {}, env = process.env) {
+  const fromFile = readConfigFile(env.RESILIENCE_CONFIG)[downstream] || {};
+  const policy = { ...DEFAULT_POLICY, ...defaults, ...fromFile };
+
+  for (const field of Object.keys(DEFAULT_POLICY)) {
+    const envValue = env[`RESILIENCE_${toEnvName(downstream)}_${toEnvName(field)}`];
+    if (envValue !== undefined && envValue !== '') policy[field] = Number(envValue);
+  }
+  for (const [field, value] of Object.entries(policy)) {
+    if (!(field in DEFAULT_POLICY)) throw new Error(`resiliência de ${downstream}: campo desconhecido ${field}`);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`resiliência de ${downstream}: ${field} deve ser um inteiro >= 0`);
+    }
+  }
+  if (policy.maxConcurrent < 1) throw new Error(`resiliência de ${downstream}: maxConcurrent deve ser >= 1`);
+  if (policy.errorThresholdPercentage < 1 || policy.errorThresholdPercentage > 100) {
+    throw new Error(`resiliência de ${downstream}: errorThresholdPercentage deve estar entre 1 e 100`);
+  }
+  return policy;
+}
+
+// Backoff exponencial com "full jitter": espera aleatória entre 0 e base * 2^(tentativa-1)
+export function retryDelay(attempt, { retryBaseDelayMs, retryMaxDelayMs }, random = Math.random) {
+  const ceiling = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempt - 1));
+  return Math.round(random() * ceiling);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function withTimeout(downstream, ms, fn) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new DownstreamError(downstream, `${downstream} não respondeu em ${ms}ms`, { code: 'TIMEOUT' }));
+    }, ms);
+  });
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function createBulkhead(downstream, { maxConcurrent, maxQueue }) {
+  let active = 0;
+  const queue = [];
+
+  // A vaga de quem terminou passa direto para o primeiro da fila
+  function release() {
+    const next = queue.shift();
+    if (next) next();
+    else active--;
+  }
+
+  return {
+    get active() { return active; },
+    get queued() { return queue.length; },
+    async run(fn) {
+      if (active >= maxConcurrent) {
+        if (queue.length >= maxQueue) {
+          throw new DownstreamError(downstream, `${downstream}: limite de chamadas simultâneas atingido`, { code: 'BULKHEAD_FULL' });
+        }
+        await new Promise(resolve => queue.push(resolve));
+      } else {
+        active++;
+      }
+      try {
+        return await fn();
+      } finally {
+        release();
+      }
+    }
+  };
+}
+
+// Downstreams criados no processo, para o endpoint de admin (resilienceSnapshot)
+const registry = new Map();
+
+// action(signal, ...args) faz uma tentativa; fire(...args) roda a chamada com a política inteira
+export function createResilientCall(downstream, action, { policy = loadPolicy(downstream), log } = {}) {
+  const bulkhead = createBulkhead(downstream, policy);
+
+  async function attempt(...args) {
+    for (let attemptNo = 1; ; attemptNo++) {
+      try {
+        return await withTimeout(downstream, policy.timeoutMs, signal => action(signal, ...args));
+      } catch (err) {
+        if (attemptNo > policy.retries || !isTransient(err)) throw err;
+        const delay = retryDelay(attemptNo, policy);
+        log?.warn('downstream call failed, retrying', { downstream, attempt: attemptNo, delayMs: delay, err: err.message });
+        await sleep(delay);
+      }
+    }
+  }
+
+  // O timeout fica por tentativa (acima); o breaker enxerga a chamada com retries como uma só
+  const breaker = new opossum(attempt, {
+    timeout: false,
+    errorThresholdPercentage: policy.errorThresholdPercentage,
+    volumeThreshold: policy.volumeThreshold,
+    resetTimeout: policy.resetTimeoutMs,
+    rollingCountTimeout: policy.rollingWindowMs,
+    errorFilter: err => !isTransient(err)
+  });
+  breaker.on('open', () => log?.error('circuit breaker opened', { downstream }));
+  breaker.on('halfOpen', () => log?.info('circuit breaker half-open', { downstream }));
+  breaker.on('close', () => log?.info('circuit breaker closed', { downstream }));
+  instrumentBreaker(breaker, downstream);
+
+  const call = {
+    downstream,
+    policy,
+    breaker,
+    state: () => (breaker.opened ? 'open' : breaker.halfOpen ? 'half-open' : 'closed'),
+    fire: (...args) => bulkhead.run(async () => {
+      try {
+        return await breaker.fire(...args);
+      } catch (err) {
+        if (err.code === 'EOPENBREAKER') {
+          throw new DownstreamError(downstream, `circuito aberto para ${downstream}`, { code: 'CIRCUIT_OPEN' });
+        }
+        throw err;
+      }
+    }),
+    snapshot: () => {
+      const { fires, successes, failures, rejects, timeouts } = breaker.stats || {};
+      return {
+        downstream,
+        state: call.state(),
+        policy,
+        bulkhead: { active: bulkhead.active, queued: bulkhead.queued },
+        stats: { fires, successes, failures, rejects, timeouts }
+      };
+    }
+  };
+  registry.set(downstream, call);
+  return call;
+}
+
+export function resilienceSnapshot() {
+  return [...registry.values()].map(call => call.snapshot());
+}
@@ -0,0 +1,26 @@
+// OpenTelemetry opcional, carregado antes da aplicação (node --import ./common/telemetry.js).
+// Sem OTEL_EXPORTER_OTLP_ENDPOINT não faz nada. Com ele, exporta spans via OTLP/HTTP
+// (ex.: Jaeger do profile "tracing" do docker-compose) instrumentando HTTP, Express e
+// amqplib; o contexto W3C (traceparent) segue nas chamadas HTTP e nos headers AMQP.
+// O nome do serviço vem de OTEL_SERVICE_NAME.
+if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT) {
+  // Hook de ESM: sem ele as instrumentações não enxergam módulos carregados via import
+  const { register } = await import('node:module');
+  register('@opentelemetry/instrumentation/hook.mjs', import.meta.url);
+
+  const { NodeSDK } = await import('@opentelemetry/sdk-node');
+  const { OTLPTraceExporter } = await import('@opentelemetry/exporter-trace-otlp-http');
+  const { HttpInstrumentation } = await import('@opentelemetry/instrumentation-http');
+  const { ExpressInstrumentation } = await import('@opentelemetry/instrumentation-express');
+  const { AmqplibInstrumentation } = await import('@opentelemetry/instrumentation-amqplib');
+
+  const sdk = new NodeSDK({
+    traceExporter: new OTLPTraceExporter(),
+    instrumentations: [new HttpInstrumentation(), new ExpressInstrumentation(), new AmqplibInstrumentation()]
+  });
+  sdk.start();
+
+  process.once('SIGTERM', () => {
+    sdk.shutdown().finally(() => process.exit(0));
+  });
+}
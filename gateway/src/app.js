@@ -0,0 +1,136 @@
+// CONTEÚDO ATUALIZADO DE: gateway/src/app.js
+import express from 'express';
+import { createProxyMiddleware } from 'http-proxy-middleware';
+import { authenticate, authorize, verifiedUserId } from './auth.js';
+import { correlation, createLogger, requestLogger } from './correlation.js';
+import { httpMetrics, metricsHandler, rateLimitedRequests } from './metrics.js';
+import { rateLimit, createStoreFromEnv } from './rateLimit.js';
+import { compositionRouter } from './composition.js';
+import { createSpecAggregator, specHandler } from './openapi.js';
+import swaggerUi from 'swagger-ui-express';
+import { liveness, aggregateReadiness } from './health.js';
+
+const log = createLogger('gateway');
+
+const app = express();
+// Atrás de outro proxy/load balancer: TRUST_PROXY=1 faz req.ip vir do X-Forwarded-For
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY);
+// app.use(express.json());
+app.use(correlation());
+app.use(requestLogger(log));
+app.use(httpMetrics());
+
+
+const USERS_URL = process.env.USERS_URL || 'http://localhost:3001';
+const ORDERS_URL = process.env.ORDERS_URL || 'http://localhost:3002';
+const NOTIFICATIONS_URL = process.env.NOTIFICATIONS_URL || 'http://localhost:3004';
+const EVENTS_URL = process.env.EVENTS_URL || 'http://localhost:3005';
+
+// Health e métricas (Prometheus), fora da autenticação.
+// /health agrega o readiness dos serviços; /health/live não olha os serviços.
+// Notificações e event store fora do ar não impedem o gateway de atender usuários e pedidos.
+app.get('/health/live', liveness());
+app.get(['/health', '/health/ready'], aggregateReadiness({
+  users: USERS_URL,
+  orders: ORDERS_URL,
+  notifications: { url: NOTIFICATIONS_URL, critical: false },
+  events: { url: EVENTS_URL, critical: false }
+}));
+app.get('/metrics', metricsHandler());
+
+// Documentação única: o spec de cada serviço com os paths do gateway (/users/..., /orders/...)
+const specs = createSpecAggregator({
+  services: [
+    { name: 'users', url: USERS_URL, prefix: '/users', passthrough: ['/auth'] },
+    { name: 'orders', url: ORDERS_URL, prefix: '/orders', passthrough: ['/users'] },
+    { name: 'notifications', url: NOTIFICATIONS_URL, prefix: '/notifications' },
+    { name: 'events', url: EVENTS_URL, prefix: '/events' }
+  ],
+  log
+});
+app.get('/openapi.json', specHandler(specs));
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(null, { swaggerOptions: { url: '/openapi.json' } }));
+
+// Rate limit por cliente, autenticação (JWT) e autorização por rota, antes de qualquer proxy.
+// O limite vem primeiro: token inválido (401) também conta, pelo IP.
+app.use(rateLimit({
+  store: createStoreFromEnv(),
+  identify: verifiedUserId,
+  log,
+  onLimited: rule => rateLimitedRequests.inc({ rule: rule.name })
+}));
+app.use(authenticate);
+app.use(authorize());
+
+// Endpoints compostos (users + orders numa resposta só)
+app.use('/api', compositionRouter({ usersUrl: USERS_URL, ordersUrl: ORDERS_URL }));
+
+// Roteamento de APIs
+
+// --- AUTH ---
+// Login emitido pelo users-service (POST /auth/login)
+app.use('/auth', createProxyMiddleware({
+  target: `${USERS_URL}/auth`,
+  changeOrigin: true
+}));
+
+// --- USERS ---
+// Rota específica para a UI do Swagger (DEVE VIR ANTES de /users)
+app.use('/users/api-docs', createProxyMiddleware({
+  target: USERS_URL,
+  changeOrigin: true,
+  pathRewrite: {'^/users/api-docs': '/api-docs'} // Remove /users
+}));
+
+// Pedidos de um usuário ficam no orders-service (GET /users/:id/orders, path inalterado)
+app.get('/users/:id/orders', createProxyMiddleware({
+  target: ORDERS_URL,
+  changeOrigin: true
+}));
+
+app.use('/users', createProxyMiddleware({
+  target: USERS_URL,
+  changeOrigin: true,
+  pathRewrite: {'^/users': ''}
+}));
+
+// --- ORDERS (EXERCÍCIO 6) ---
+app.use('/orders/api-docs', createProxyMiddleware({
+  target: ORDERS_URL,
+  changeOrigin: true,
+  pathRewrite: {'^/orders/api-docs': '/api-docs'} // Remove /orders
+}));
+
+app.use('/orders', createProxyMiddleware({
+  target: ORDERS_URL,
+  changeOrigin: true,
+  pathRewrite: {'^/orders': ''}
+}));
+
+// --- NOTIFICATIONS ---
+app.use('/notifications/api-docs', createProxyMiddleware({
+  target: NOTIFICATIONS_URL,
+  changeOrigin: true,
+  pathRewrite: {'^/notifications/api-docs': '/api-docs'}
+}));
+
+app.use('/notifications', createProxyMiddleware({
+  target: NOTIFICATIONS_URL,
+  changeOrigin: true,
+  pathRewrite: {'^/notifications': ''}
+}));
+
+// --- EVENT STORE (admin) ---
+app.use('/events/api-docs', createProxyMiddleware({
+  target: EVENTS_URL,
+  changeOrigin: true,
+  pathRewrite: {'^/events/api-docs': '/api-docs'}
+}));
+
+app.use('/events', createProxyMiddleware({
+  target: EVENTS_URL,
+  changeOrigin: true,
+  pathRewrite: {'^/events': ''}
+}));
+
+export default app;
@@ -0,0 +1,609 @@
+// Testes do gateway: serviços "falsos" em portas efêmeras fazem o papel de users/orders
+import http from 'http';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import supertest from 'supertest';
+
+const SECRET = 'test-secret';
+
+// Serviços cujo /health/ready responde 503
+const notReady = new Set();
+
+// Upstream que devolve o path e os headers de identidade recebidos
+function startUpstream(name) {
+  const upstream = express();
+  upstream.get('/health/ready', (req, res, next) => {
+    if (!notReady.has(name)) return next();
+    res.status(503).json({ ok: false, service: name, checks: { broker: { ok: false, error: 'canal AMQP indisponível' } } });
+  });
+  upstream.use((req, res) => {
+    res.json({
+      service: name,
+      method: req.method,
+      path: req.url,
+      userId: req.get('x-user-id') || null,
+      role: req.get('x-user-role') || null,
+      correlationId: req.get('x-correlation-id') || null
+    });
+  });
+  const server = http.createServer(upstream);
+  return new Promise(resolve => server.listen(0, () => resolve(server)));
+}
+
+const usersServer = await startUpstream('users');
+const ordersServer = await startUpstream('orders');
+const notificationsServer = await startUpstream('notifications');
+const eventsServer = await startUpstream('events');
+process.env.JWT_SECRET = SECRET;
+process.env.RATE_LIMIT_ORDERS_CREATE = '2';
+process.env.USERS_URL = `http://localhost:${usersServer.address().port}`;
+process.env.ORDERS_URL = `http://localhost:${ordersServer.address().port}`;
+process.env.NOTIFICATIONS_URL = `http://localhost:${notificationsServer.address().port}`;
+process.env.EVENTS_URL = `http://localhost:${eventsServer.address().port}`;
+
+// Importa o app só depois de configurar as variáveis de ambiente
+const { default: app } = await import('./app.js');
+const { rateLimit, createMemoryStore, createRedisStore, takeToken, parseApiKeys } = await import('./rateLimit.js');
+const { compositionRouter } = await import('./composition.js');
+const { createSpecAggregator } = await import('./openapi.js');
+const request = supertest(app);
+
+const token = claims => jwt.sign(claims, SECRET, { expiresIn: '5m' });
+const customer = token({ sub: 'u_1', role: 'customer', email: 'c@example.com' });
+const admin = token({ sub: 'u_admin', role: 'admin', email: 'a@example.com' });
+
+describe('Gateway', () => {
+
+  afterAll(() => {
+    usersServer.close();
+    ordersServer.close();
+    notificationsServer.close();
+    eventsServer.close();
+  });
+
+  it('GET /health should be public and aggregate the services readiness', async () => {
+    const res = await request.get('/health');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      ok: true,
+      service: 'gateway',
+      dependencies: { users: { ok: true, status: 200 }, orders: { ok: true, status: 200 } }
+    });
+  });
+
+  it('GET /health should return 503 when a service is not ready', async () => {
+    notReady.add('orders');
+    try {
+      const res = await request.get('/health');
+      expect(res.status).toBe(503);
+      expect(res.body.ok).toBe(false);
+      expect(res.body.dependencies.users.ok).toBe(true);
+      expect(res.body.dependencies.orders).toMatchObject({ ok: false, status: 503, checks: { broker: { ok: false } } });
+
+      const live = await request.get('/health/live');
+      expect(live.status).toBe(200);
+      expect(live.body).toEqual({ ok: true, service: 'gateway' });
+    } finally {
+      notReady.delete('orders');
+    }
+  });
+
+  it('GET /health should stay up when only the notifications service is not ready', async () => {
+    notReady.add('notifications');
+    try {
+      const res = await request.get('/health');
+      expect(res.status).toBe(200);
+      expect(res.body.ok).toBe(true);
+      expect(res.body.dependencies.notifications).toMatchObject({ ok: false, status: 503, critical: false });
+    } finally {
+      notReady.delete('notifications');
+    }
+  });
+
+  it('POST /auth/login should be proxied to users-service without a token', async () => {
+    const res = await request.post('/auth/login').send({ email: 'a', password: 'b' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ service: 'users', path: '/auth/login' });
+  });
+
+  it('POST /users (sign up) should be public', async () => {
+    const res = await request.post('/users').send({ name: 'x', email: 'x@example.com' });
+    expect(res.status).toBe(200);
+    expect(res.body.service).toBe('users');
+  });
+
+  it('GET /orders should require a token', async () => {
+    const res = await request.get('/orders');
+    expect(res.status).toBe(401);
+  });
+
+  it('should apply the access rules regardless of the path case', async () => {
+    const anonymous = await request.get('/ORDERS');
+    expect(anonymous.status).toBe(401);
+
+    const res = await request.get('/Users').set('Authorization', `Bearer ${customer}`);
+    expect(res.status).toBe(403);
+
+    const other = await request.get('/USERS/u_2').set('Authorization', `Bearer ${customer}`);
+    expect(other.status).toBe(403);
+  });
+
+  it('should deny proxied paths that match no access rule', async () => {
+    const res = await request.put('/users').set('Authorization', `Bearer ${admin}`);
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'not found' });
+
+    const auth = await request.get('/auth/login');
+    expect(auth.status).toBe(404);
+  });
+
+  it('should reject an invalid token', async () => {
+    const res = await request.get('/orders').set('Authorization', 'Bearer nope');
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid or expired token' });
+  });
+
+  it('should forward the identity from the token and drop spoofed headers', async () => {
+    const res = await request
+      .get('/orders')
+      .set('Authorization', `Bearer ${customer}`)
+      .set('x-user-id', 'u_admin')
+      .set('x-user-role', 'admin');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ service: 'orders', userId: 'u_1', role: 'customer' });
+  });
+
+  it('should not forward spoofed identity headers on public routes', async () => {
+    const res = await request
+      .post('/users')
+      .set('x-user-id', 'u_admin')
+      .set('x-user-role', 'admin')
+      .send({ name: 'x', email: 'x@example.com', role: 'admin' });
+
+    expect(res.body).toMatchObject({ userId: null, role: 'anonymous' });
+  });
+
+  it('should mark requests without a token as anonymous for the services', async () => {
+    const res = await request.post('/users').send({ name: 'x', email: 'x@example.com', role: 'admin' });
+    expect(res.body).toMatchObject({ service: 'users', userId: null, role: 'anonymous' });
+  });
+
+  it('GET /users should be admin only', async () => {
+    const asCustomer = await request.get('/users').set('Authorization', `Bearer ${customer}`);
+    expect(asCustomer.status).toBe(403);
+
+    const asAdmin = await request.get('/users').set('Authorization', `Bearer ${admin}`);
+    expect(asAdmin.status).toBe(200);
+  });
+
+  it('GET /users/:id should allow the user itself or an admin', async () => {
+    const own = await request.get('/users/u_1').set('Authorization', `Bearer ${customer}`);
+    expect(own.status).toBe(200);
+
+    const other = await request.get('/users/u_2').set('Authorization', `Bearer ${customer}`);
+    expect(other.status).toBe(403);
+
+    const asAdmin = await request.get('/users/u_2').set('Authorization', `Bearer ${admin}`);
+    expect(asAdmin.status).toBe(200);
+  });
+
+  it('GET /users/:id/orders should go to orders-service for the user itself or an admin', async () => {
+    const own = await request.get('/users/u_1/orders?limit=5').set('Authorization', `Bearer ${customer}`);
+    expect(own.status).toBe(200);
+    expect(own.body).toMatchObject({ service: 'orders', path: '/users/u_1/orders?limit=5', userId: 'u_1' });
+
+    const other = await request.get('/users/u_2/orders').set('Authorization', `Bearer ${customer}`);
+    expect(other.status).toBe(403);
+
+    const asAdmin = await request.get('/users/u_2/orders').set('Authorization', `Bearer ${admin}`);
+    expect(asAdmin.body.service).toBe('orders');
+  });
+
+  it('should forward pagination query strings untouched', async () => {
+    const res = await request
+      .get('/orders?limit=5&cursor=b18x&sort=-total&status=created,paid')
+      .set('Authorization', `Bearer ${admin}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.path).toBe('/?limit=5&cursor=b18x&sort=-total&status=created,paid');
+  });
+
+  it('/orders/admin routes should be admin only', async () => {
+    const asCustomer = await request.get('/orders/admin/dlq').set('Authorization', `Bearer ${customer}`);
+    expect(asCustomer.status).toBe(403);
+
+    const asAdmin = await request.get('/orders/admin/dlq').set('Authorization', `Bearer ${admin}`);
+    expect(asAdmin.status).toBe(200);
+    expect(asAdmin.body.path).toBe('/admin/dlq');
+  });
+
+  it('/notifications should require a token and keep retries admin only', async () => {
+    expect((await request.get('/notifications')).status).toBe(401);
+
+    const list = await request.get('/notifications?status=failed').set('Authorization', `Bearer ${customer}`);
+    expect(list.status).toBe(200);
+    expect(list.body).toMatchObject({ service: 'notifications', path: '/?status=failed', userId: 'u_1', role: 'customer' });
+
+    const asCustomer = await request.post('/notifications/n_1/retry').set('Authorization', `Bearer ${customer}`);
+    expect(asCustomer.status).toBe(403);
+
+    const asAdmin = await request.post('/notifications/n_1/retry').set('Authorization', `Bearer ${admin}`);
+    expect(asAdmin.status).toBe(200);
+    expect(asAdmin.body.path).toBe('/n_1/retry');
+  });
+
+  it('/events (event store) should be admin only', async () => {
+    const asCustomer = await request.get('/events?type=user.*').set('Authorization', `Bearer ${customer}`);
+    expect(asCustomer.status).toBe(403);
+
+    const asAdmin = await request.post('/events/replay').set('Authorization', `Bearer ${admin}`).send({ queue: 'orders.q' });
+    expect(asAdmin.status).toBe(200);
+    expect(asAdmin.body).toMatchObject({ service: 'events', method: 'POST', path: '/replay' });
+  });
+
+  it('should generate a correlation id and forward it to the service', async () => {
+    const res = await request.post('/users').send({ name: 'x', email: 'x@example.com' });
+
+    expect(res.headers['x-correlation-id']).toEqual(expect.any(String));
+    expect(res.body.correlationId).toBe(res.headers['x-correlation-id']);
+  });
+
+  it('should keep a valid client correlation id and replace an invalid one', async () => {
+    const kept = await request.post('/users').set('x-correlation-id', 'req-42').send({});
+    expect(kept.body.correlationId).toBe('req-42');
+
+    const replaced = await request.post('/users').set('x-correlation-id', 'bad id {"level":"error"}').send({});
+    expect(replaced.body.correlationId).not.toBe('bad id {"level":"error"}');
+    expect(replaced.body.correlationId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('GET /metrics should be public and count proxied requests by API prefix', async () => {
+    await request.get('/orders').set('Authorization', `Bearer ${customer}`);
+
+    const res = await request.get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toMatch(/http_request_duration_seconds_count\{service="gateway",method="GET",route="\/orders",status_code="200"\} \d+/);
+  });
+
+  it('GET /api/users/:id/with-orders should only be allowed for the user itself or an admin', async () => {
+    const res = await request.get('/api/users/u_2/with-orders').set('Authorization', `Bearer ${customer}`);
+    expect(res.status).toBe(403);
+
+    const anonymous = await request.get('/api/orders/o_1/details');
+    expect(anonymous.status).toBe(401);
+  });
+
+  it('GET /api-docs should serve the unified Swagger UI without a token', async () => {
+    const res = await request.get('/api-docs/');
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('swagger-ui');
+  });
+
+  it('POST /orders should return 429 with Retry-After once the client bucket is empty', async () => {
+    const post = auth => request.post('/orders').set('Authorization', `Bearer ${auth}`).send({});
+
+    const first = await post(customer);
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+
+    await post(customer);
+    const limited = await post(customer);
+    expect(limited.status).toBe(429);
+    expect(limited.body).toEqual({ error: 'Too many requests' });
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+
+    // Outro cliente tem o próprio balde
+    expect((await post(admin)).status).toBe(200);
+    // GET /orders cai na regra padrão
+    expect((await request.get('/orders').set('Authorization', `Bearer ${customer}`)).status).toBe(200);
+  });
+
+  it('should rate limit requests with an invalid token by IP before authenticating them', async () => {
+    const post = () => request.post('/orders').set('Authorization', 'Bearer forged').send({});
+
+    expect((await post()).status).toBe(401);
+    expect((await post()).status).toBe(401);
+    const limited = await post();
+    expect(limited.status).toBe(429);
+    expect(limited.body).toEqual({ error: 'Too many requests' });
+
+    // Token válido continua no balde do próprio usuário
+    expect((await request.post('/orders').set('Authorization', `Bearer ${token({ sub: 'u_3', role: 'customer' })}`).send({})).status).toBe(200);
+  });
+});
+
+describe('Gateway rate limit', () => {
+  const rules = [{ name: 'test', method: '*', path: /^\//, limit: 2, windowMs: 60000 }];
+
+  function limitedApp(store, options = {}) {
+    const limited = express();
+    limited.use((req, res, next) => {
+      if (req.get('x-test-user')) req.user = { id: req.get('x-test-user') };
+      next();
+    });
+    limited.use(rateLimit({ rules, store, ...options }));
+    limited.get('/', (req, res) => res.json({ ok: true }));
+    return supertest(limited);
+  }
+
+  it('should key anonymous clients by IP and authenticated ones by user', async () => {
+    const local = limitedApp(createMemoryStore());
+    await local.get('/');
+    await local.get('/');
+    expect((await local.get('/')).status).toBe(429);
+    expect((await local.get('/').set('x-test-user', 'u_9')).status).toBe(200);
+  });
+
+  it('should key clients with a known API key by the key name and unknown keys by IP', async () => {
+    const local = limitedApp(createMemoryStore(), { apiKeys: parseApiKeys('partner-a:key-a, partner-b:key-b,broken') });
+    await local.get('/').set('x-api-key', 'key-a');
+    await local.get('/').set('x-api-key', 'key-a');
+    expect((await local.get('/').set('x-api-key', 'key-a')).status).toBe(429);
+    expect((await local.get('/').set('x-api-key', 'key-b')).status).toBe(200);
+
+    await local.get('/').set('x-api-key', 'made-up-1');
+    await local.get('/').set('x-api-key', 'made-up-2');
+    expect((await local.get('/').set('x-api-key', 'made-up-3')).status).toBe(429);
+  });
+
+  it('parseApiKeys should ignore malformed entries', () => {
+    expect(parseApiKeys('a:1,b,:2,c:')).toEqual(new Map([['1', 'a']]));
+    expect(parseApiKeys(undefined).size).toBe(0);
+  });
+
+  it('takeToken should refill the bucket over the window', () => {
+    const options = { capacity: 2, refillPerMs: 2 / 60000 };
+    let bucket = takeToken(undefined, { ...options, now: 0 });
+    bucket = takeToken(bucket, { ...options, now: 0 });
+    expect(takeToken(bucket, { ...options, now: 0 }).allowed).toBe(false);
+    expect(takeToken(bucket, { ...options, now: 30000 })).toEqual({ allowed: true, tokens: 0, updatedAt: 30000 });
+  });
+
+  it('should work with the Redis store through an eval-compatible stand-in', async () => {
+    // Stand-in do Redis: executa o token bucket em memória e responde como o EVAL do script
+    const hashes = new Map();
+    const calls = [];
+    const fakeRedis = {
+      async eval(script, numKeys, key, capacity, refillPerMs, now, ttlMs) {
+        calls.push([script, numKeys, key, capacity, refillPerMs, now, ttlMs]);
+        const current = hashes.get(key);
+        const bucket = takeToken(current && { tokens: Number(current.tokens), updatedAt: Number(current.updatedAt) }, {
+          capacity: Number(capacity), refillPerMs: Number(refillPerMs), now: Number(now)
+        });
+        hashes.set(key, { tokens: String(bucket.tokens), updatedAt: String(now), ttlMs });
+        return [bucket.allowed ? 1 : 0, String(bucket.tokens)];
+      }
+    };
+
+    const redisApp = limitedApp(createRedisStore(fakeRedis, { prefix: 'rl:' }));
+    expect((await redisApp.get('/')).headers['ratelimit-remaining']).toBe('1');
+    await redisApp.get('/');
+    expect((await redisApp.get('/')).status).toBe(429);
+
+    const [, numKeys, key, , , , ttlMs] = calls[0];
+    expect(numKeys).toBe(1);
+    expect(key).toMatch(/^rl:test:ip:/);
+    expect(ttlMs).toBe(60000);
+  });
+
+  it('should let requests through when the store is unavailable', async () => {
+    const broken = limitedApp({ take: async () => { throw new Error('ECONNREFUSED'); } });
+    const res = await broken.get('/');
+    expect(res.status).toBe(200);
+    expect(res.headers['ratelimit-limit']).toBeUndefined();
+  });
+});
+
+describe('Gateway composition', () => {
+  const USER = { id: 'u_1', name: 'Ana', email: 'ana@example.com', role: 'customer' };
+  const ORDER = { id: 'o_1', userId: 'u_1', total: 10, status: 'paid', items: [{ sku: 'A', qty: 1, unitPrice: 10 }] };
+  const HISTORY = [{ id: 1, orderId: 'o_1', fromStatus: null, toStatus: 'created' }];
+  // 'down' = 503, 'slow' = responde depois do timeout
+  const mode = { users: 'up', orders: 'up' };
+  const received = [];
+  let usersStub, ordersStub, compose;
+
+  function stub(name, routes) {
+    const service = express();
+    service.use((req, res, next) => {
+      received.push({ service: name, path: req.url, userId: req.get('x-user-id'), correlationId: req.get('x-correlation-id') });
+      if (mode[name] === 'down') return res.status(503).json({ error: 'down' });
+      if (mode[name] === 'slow') return setTimeout(next, 300);
+      next();
+    });
+    routes(service);
+    const server = http.createServer(service);
+    return new Promise(resolve => server.listen(0, () => resolve(server)));
+  }
+
+  beforeAll(async () => {
+    usersStub = await stub('users', users => {
+      users.get('/u_1', (req, res) => res.json(USER));
+      users.get('/:id', (req, res) => res.status(404).json({ error: 'Usuário não encontrado' }));
+    });
+    ordersStub = await stub('orders', orders => {
+      orders.get('/', (req, res) => res.json({ data: [ORDER], nextCursor: null, limit: Number(req.query.limit || 20) }));
+      orders.get('/o_1', (req, res) => res.json(ORDER));
+      orders.get('/o_1/history', (req, res) => res.json(HISTORY));
+      orders.get('/:id', (req, res) => res.status(404).json({ error: 'Pedido não encontrado' }));
+    });
+
+    const composed = express();
+    composed.use((req, res, next) => {
+      req.headers['x-user-id'] = 'u_1';
+      req.headers['x-correlation-id'] = 'req-7';
+      next();
+    });
+    composed.use('/api', compositionRouter({
+      usersUrl: `http://localhost:${usersStub.address().port}`,
+      ordersUrl: `http://localhost:${ordersStub.address().port}`,
+      timeoutMs: 100
+    }));
+    compose = supertest(composed);
+  });
+
+  beforeEach(() => {
+    mode.users = 'up';
+    mode.orders = 'up';
+    received.length = 0;
+  });
+
+  afterAll(() => {
+    for (const server of [usersStub, ordersStub]) {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  it('GET /api/users/:id/with-orders should merge the user and the user orders', async () => {
+    const res = await compose.get('/api/users/u_1/with-orders?limit=5');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user: USER, orders: [ORDER], nextCursor: null, degraded: false, unavailable: [] });
+    expect(received).toEqual(expect.arrayContaining([
+      { service: 'users', path: '/u_1', userId: 'u_1', correlationId: 'req-7' },
+      { service: 'orders', path: '/?userId=u_1&limit=5', userId: 'u_1', correlationId: 'req-7' }
+    ]));
+  });
+
+  it('GET /api/users/:id/with-orders should return a degraded partial result when orders times out', async () => {
+    mode.orders = 'slow';
+    const res = await compose.get('/api/users/u_1/with-orders');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ user: USER, orders: null, degraded: true, unavailable: ['orders'] });
+  });
+
+  it('GET /api/users/:id/with-orders should return 503 when both services are down and pass 404 through', async () => {
+    mode.users = 'down';
+    mode.orders = 'down';
+    expect((await compose.get('/api/users/u_1/with-orders')).status).toBe(503);
+
+    mode.users = 'up';
+    mode.orders = 'up';
+    const missing = await compose.get('/api/users/u_404/with-orders');
+    expect(missing.status).toBe(404);
+    expect(missing.body).toEqual({ error: 'Usuário não encontrado' });
+  });
+
+  it('GET /api/orders/:id/details should merge order, history and customer', async () => {
+    const res = await compose.get('/api/orders/o_1/details');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ order: ORDER, history: HISTORY, user: USER, degraded: false, unavailable: [] });
+  });
+
+  it('GET /api/orders/:id/details should degrade without users-service and fail without orders-service', async () => {
+    mode.users = 'down';
+    const degraded = await compose.get('/api/orders/o_1/details');
+    expect(degraded.status).toBe(200);
+    expect(degraded.body).toMatchObject({ order: ORDER, history: HISTORY, user: null, degraded: true, unavailable: ['users'] });
+
+    mode.orders = 'down';
+    const down = await compose.get('/api/orders/o_1/details');
+    expect(down.status).toBe(503);
+    expect(down.body).toEqual({ error: 'orders-service indisponível' });
+  });
+});
+
+describe('Gateway OpenAPI', () => {
+  const errorRef = { $ref: '#/components/schemas/Error' };
+  const usersSpec = {
+    openapi: '3.0.0',
+    info: { title: 'Users Service', version: '1.0.0' },
+    paths: {
+      '/auth/login': { post: { responses: { 401: { description: 'x', content: { 'application/json': { schema: errorRef } } } } } },
+      '/': { get: { responses: { 200: { description: 'ok' } } } },
+      '/{id}': { get: { parameters: [{ $ref: '#/components/parameters/UserId' }], responses: { 200: { description: 'ok' } } } }
+    },
+    components: {
+      parameters: { UserId: { name: 'id', in: 'path', required: true, schema: { type: 'string' } } },
+      schemas: { Error: { type: 'object', properties: { error: { type: 'string' } } } }
+    }
+  };
+  const ordersSpec = version => ({
+    openapi: '3.0.0',
+    info: { title: 'Orders Service', version },
+    paths: { '/{id}': { get: { tags: ['pedidos'], responses: { 404: { description: 'x', content: { 'application/json': { schema: errorRef } } } } } } },
+    components: { schemas: { Error: { type: 'object', required: ['error'] } } }
+  });
+
+  let ordersVersion = '1.0.0';
+  let ordersDown = false;
+  const conditional = [];
+  let usersStub, ordersStub;
+
+  function specServer(getSpec) {
+    const service = express();
+    service.get('/openapi.json', (req, res) => {
+      conditional.push(req.get('if-none-match') || null);
+      const spec = getSpec();
+      if (!spec) return res.status(503).json({ error: 'down' });
+      res.json(spec);
+    });
+    const server = http.createServer(service);
+    return new Promise(resolve => server.listen(0, () => resolve(server)));
+  }
+
+  const aggregator = (refreshMs = 0) => createSpecAggregator({
+    services: [
+      { name: 'users', url: `http://localhost:${usersStub.address().port}`, prefix: '/users', passthrough: ['/auth'] },
+      { name: 'orders', url: `http://localhost:${ordersStub.address().port}`, prefix: '/orders' }
+    ],
+    refreshMs
+  });
+
+  beforeAll(async () => {
+    usersStub = await specServer(() => usersSpec);
+    ordersStub = await specServer(() => (ordersDown ? null : ordersSpec(ordersVersion)));
+  });
+
+  afterAll(() => {
+    usersStub.close();
+    ordersStub.close();
+  });
+
+  it('should prefix paths with the gateway routes and namespace components', async () => {
+    const spec = await aggregator().get();
+
+    expect(Object.keys(spec.paths)).toEqual(['/auth/login', '/users', '/users/{id}', '/orders/{id}']);
+    expect(spec.paths['/users/{id}'].get.parameters).toEqual([{ $ref: '#/components/parameters/users.UserId' }]);
+    expect(spec.paths['/orders/{id}'].get.responses[404].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/orders.Error' });
+    expect(spec.paths['/users'].get.tags).toEqual(['users']);
+    expect(spec.paths['/orders/{id}'].get.tags).toEqual(['pedidos']);
+    expect(Object.keys(spec.components.schemas)).toEqual(['users.Error', 'orders.Error']);
+    expect(spec.servers).toEqual([{ url: '/' }]);
+    expect(spec.components.securitySchemes.bearerAuth).toMatchObject({ type: 'http', scheme: 'bearer' });
+  });
+
+  it('should pick up a new service version and keep the last one while the service is down', async () => {
+    const specs = aggregator();
+    ordersVersion = '1.0.0';
+    await specs.get();
+
+    conditional.length = 0;
+    await specs.get();
+    expect(conditional.every(Boolean)).toBe(true); // revalidação com ETag
+
+    ordersVersion = '2.0.0';
+    expect((await specs.get()).info.description).toContain('orders (2.0.0)');
+
+    ordersDown = true;
+    const stale = await specs.get();
+    expect(stale.info.description).toContain('orders (2.0.0)');
+    expect(stale.paths['/orders/{id}']).toBeDefined();
+    ordersDown = false;
+  });
+
+  it('should serve the cached document until the refresh interval expires', async () => {
+    const specs = aggregator(60000);
+    await specs.get();
+    conditional.length = 0;
+    await specs.get();
+    expect(conditional).toEqual([]);
+  });
+});
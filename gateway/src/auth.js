@@ -0,0 +1,99 @@
+// Autenticação (JWT) e autorização por rota no gateway
+import jwt from 'jsonwebtoken';
+import { IDENTITY_HEADERS, JWT_SECRET, ROLES } from '../common/identity.js';
+
+// Regras avaliadas em ordem; a primeira que casar com método + path vale.
+// access: public | authenticated | admin | self (o :id da rota é o próprio usuário) | deny
+// Os paths são sem diferenciar maiúsculas (flag i), como o roteamento do Express e os proxies.
+export const ACCESS_RULES = [
+  { method: 'POST', path: /^\/auth\/login\/?$/i, access: 'public' },
+  { method: '*', path: /^\/(users|orders|notifications|events)\/api-docs(\/.*)?$/i, access: 'public' },
+  { method: 'POST', path: /^\/users\/?$/i, access: 'public' }, // cadastro
+  { method: 'GET', path: /^\/users\/?$/i, access: 'admin' },
+  { method: 'GET', path: /^\/users\/(?<id>[^/]+)\/orders\/?$/i, access: 'self' }, // vai para o orders-service
+  { method: '*', path: /^\/users\/(?<id>[^/]+)\/?$/i, access: 'self' },
+  { method: '*', path: /^\/users\/.*$/i, access: 'admin' },
+  { method: '*', path: /^\/orders\/admin(\/.*)?$/i, access: 'admin' }, // DLQ do consumidor e resiliência
+  // Endpoints compostos do gateway (o orders-service confere o dono do pedido)
+  { method: 'GET', path: /^\/api\/users\/(?<id>[^/]+)\/with-orders\/?$/i, access: 'self' },
+  { method: '*', path: /^\/api(\/.*)?$/i, access: 'authenticated' },
+  // Pedidos: o orders-service garante que o cliente só mexe nos próprios pedidos
+  { method: '*', path: /^\/orders(\/.*)?$/i, access: 'authenticated' },
+  // Notificações: o cliente só lista as próprias; reenvio é do admin
+  { method: 'POST', path: /^\/notifications\/[^/]+\/retry\/?$/i, access: 'admin' },
+  { method: '*', path: /^\/notifications(\/.*)?$/i, access: 'authenticated' },
+  // Event store: consulta e replay de todos os eventos, só admin
+  { method: '*', path: /^\/events(\/.*)?$/i, access: 'admin' },
+  // O que sobrou nos prefixos que o gateway repassa (ex.: PUT /users, GET /auth/x) é negado
+  { method: '*', path: /^\/(auth|users|orders|notifications|events|api)(\/.*)?$/i, access: 'deny' }
+];
+
+// Role repassado nas requisições sem token: para os serviços, ausência de identidade
+// significa chamada interna, então o anônimo vindo de fora precisa ser marcado
+export const ANONYMOUS_ROLE = ROLES.ANONYMOUS;
+
+// Valida o Bearer token (se houver) e substitui os headers de identidade.
+// Headers x-user-* enviados pelo cliente são SEMPRE descartados.
+export function authenticate(req, res, next) {
+  Object.values(IDENTITY_HEADERS).forEach(h => delete req.headers[h]);
+
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (!header) {
+    req.headers[IDENTITY_HEADERS.ROLE] = ANONYMOUS_ROLE;
+    return next();
+  }
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Invalid authorization header' });
+  }
+
+  try {
+    const claims = jwt.verify(token, JWT_SECRET);
+    req.user = { id: claims.sub, role: claims.role, email: claims.email };
+    req.headers[IDENTITY_HEADERS.ID] = req.user.id;
+    req.headers[IDENTITY_HEADERS.ROLE] = req.user.role;
+    if (req.user.email) req.headers[IDENTITY_HEADERS.EMAIL] = req.user.email;
+    next();
+  } catch (err) {
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+}
+
+// Id do usuário de um Bearer token válido, ou null; não altera a requisição.
+// O rate limit roda antes de authenticate e usa isto para contar por usuário:
+// token ausente ou inválido conta pelo IP.
+export function verifiedUserId(req) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  try {
+    return jwt.verify(token, JWT_SECRET).sub || null;
+  } catch {
+    return null;
+  }
+}
+
+export function authorize(rules = ACCESS_RULES) {
+  return (req, res, next) => {
+    let params = {};
+    const rule = rules.find(r => {
+      if (r.method !== '*' && r.method !== req.method) return false;
+      const match = r.path.exec(req.path);
+      if (match) params = match.groups || {};
+      return Boolean(match);
+    });
+
+    // Rotas do próprio gateway (ex.: /health) não passam pelo controle de acesso
+    if (!rule || rule.access === 'public') return next();
+    if (rule.access === 'deny') return res.status(404).json({ error: 'not found' });
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+
+    const isAdmin = req.user.role === ROLES.ADMIN;
+    if (rule.access === 'admin' && !isAdmin) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    if (rule.access === 'self' && !isAdmin && params.id !== req.user.id) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  };
+}
@@ -0,0 +1,92 @@
+// Endpoints compostos (/api/...): o gateway chama users e orders em paralelo e junta as
+// respostas numa só. Cada chamada tem timeout (COMPOSITION_TIMEOUT_MS); se um serviço
+// secundário não responder, a resposta sai parcial com degraded: true e a lista do que
+// faltou em unavailable. Erros 4xx do recurso principal (404, 403) são repassados.
+import express from 'express';
+import { IDENTITY_HEADERS } from '../common/identity.js';
+import { CORRELATION_HEADER } from './correlation.js';
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.COMPOSITION_TIMEOUT_MS || 2000);
+
+// Identidade já validada pelo authenticate + correlation id
+function forwardedHeaders(req) {
+  const headers = {};
+  for (const name of [...Object.values(IDENTITY_HEADERS), CORRELATION_HEADER]) {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  }
+  return headers;
+}
+
+// { ok, status, body } — status null quando o serviço nem respondeu
+async function call(url, req, timeoutMs) {
+  try {
+    const resp = await fetch(url, { headers: forwardedHeaders(req), signal: AbortSignal.timeout(timeoutMs) });
+    const body = await resp.json().catch(() => null);
+    return { ok: resp.ok, status: resp.status, body };
+  } catch (err) {
+    return { ok: false, status: null, error: err.name === 'TimeoutError' ? `sem resposta em ${timeoutMs}ms` : err.message };
+  }
+}
+
+// Fora do ar = sem resposta ou 5xx; 4xx é uma resposta de verdade
+const isUnavailable = result => result.status === null || result.status >= 500;
+
+function partial(fields, results) {
+  const unavailable = Object.entries(results).filter(([, r]) => isUnavailable(r)).map(([name]) => name);
+  return { ...fields, degraded: unavailable.length > 0, unavailable };
+}
+
+export function compositionRouter({ usersUrl, ordersUrl, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  const router = express.Router();
+
+  // Usuário + pedidos dele (uma página; aceita limit e cursor como GET /orders)
+  router.get('/users/:id/with-orders', async (req, res) => {
+    const query = new URLSearchParams({ userId: req.params.id });
+    for (const name of ['limit', 'cursor']) {
+      if (typeof req.query[name] === 'string') query.set(name, req.query[name]);
+    }
+
+    const [user, orders] = await Promise.all([
+      call(`${usersUrl}/${encodeURIComponent(req.params.id)}`, req, timeoutMs),
+      call(`${ordersUrl}/?${query}`, req, timeoutMs)
+    ]);
+
+    if (isUnavailable(user) && isUnavailable(orders)) {
+      return res.status(503).json({ error: 'users-service e orders-service indisponíveis' });
+    }
+    for (const result of [user, orders]) {
+      if (!result.ok && !isUnavailable(result)) return res.status(result.status).json(result.body);
+    }
+
+    res.json(partial({
+      user: user.ok ? user.body : null,
+      orders: orders.ok ? orders.body.data : null,
+      nextCursor: orders.ok ? orders.body.nextCursor : null
+    }, { users: user, orders }));
+  });
+
+  // Pedido + histórico de status + dados do cliente
+  router.get('/orders/:id/details', async (req, res) => {
+    const orderUrl = `${ordersUrl}/${encodeURIComponent(req.params.id)}`;
+    const [order, history] = await Promise.all([
+      call(orderUrl, req, timeoutMs),
+      call(`${orderUrl}/history`, req, timeoutMs)
+    ]);
+
+    if (isUnavailable(order)) {
+      return res.status(503).json({ error: 'orders-service indisponível' });
+    }
+    if (!order.ok) return res.status(order.status).json(order.body);
+
+    // Usuário removido (404) vira user: null sem degradar a resposta
+    const user = await call(`${usersUrl}/${encodeURIComponent(order.body.userId)}`, req, timeoutMs);
+
+    res.json(partial({
+      order: order.body,
+      history: history.ok ? history.body : null,
+      user: user.ok ? user.body : null
+    }, { orders: history, users: user }));
+  });
+
+  return router;
+}
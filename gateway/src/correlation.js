@@ -0,0 +1,63 @@
+// Correlation id e logs estruturados do gateway (mesmo formato de common/logger.js;
+// o gateway não depende de common/). Toda requisição recebe um x-correlation-id —
+// o do cliente, se for válido, ou um novo — que é repassado aos serviços pelo proxy.
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+export const CORRELATION_HEADER = 'x-correlation-id';
+
+const VALID_ID = /^[\w.:-]{1,128}$/;
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const storage = new AsyncLocalStorage();
+
+export function correlation() {
+  return (req, res, next) => {
+    const received = req.get(CORRELATION_HEADER);
+    const correlationId = received && VALID_ID.test(received) ? received : randomUUID();
+    req.headers[CORRELATION_HEADER] = correlationId; // segue no proxy
+    res.set(CORRELATION_HEADER, correlationId);
+    storage.run({ correlationId }, next);
+  };
+}
+
+// LOG_LEVEL=debug|info|warn|error, LOG_FORMAT=json|pretty
+export function createLogger(service) {
+  const minLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  const pretty = process.env.LOG_FORMAT === 'pretty';
+
+  function write(level, msg, fields = {}) {
+    if (LEVELS[level] < minLevel) return;
+    const correlationId = storage.getStore()?.correlationId ?? null;
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    if (pretty) {
+      const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+      const cid = correlationId ? ` (${correlationId})` : '';
+      stream.write(`[${service}] ${level.toUpperCase()} ${msg}${cid}${extra}\n`);
+      return;
+    }
+    stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, service, correlationId, msg, ...fields })}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+  };
+}
+
+export function requestLogger(log) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      log.info('request', {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+        userId: req.user?.id
+      });
+    });
+    next();
+  };
+}
@@ -0,0 +1,35 @@
+// Health do gateway: /health/live só diz que o processo está de pé; /health (e
+// /health/ready) consulta o GET /health/ready de cada serviço e devolve 503 se algum
+// não estiver pronto, com o detalhe das dependências de cada um. Serviço marcado com
+// critical: false aparece na resposta mas não derruba o gateway (como em common/health.js).
+const TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 2000);
+
+async function probe(baseUrl) {
+  const start = Date.now();
+  try {
+    const resp = await fetch(`${baseUrl}/health/ready`, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+    const body = await resp.json().catch(() => null);
+    return { ok: resp.ok && body?.ok !== false, status: resp.status, latencyMs: Date.now() - start, checks: body?.checks };
+  } catch (err) {
+    return { ok: false, error: err.message, latencyMs: Date.now() - start };
+  }
+}
+
+export function liveness() {
+  return (req, res) => res.json({ ok: true, service: 'gateway' });
+}
+
+// services = { users: 'http://users:3001', notifications: { url: 'http://...', critical: false } }
+export function aggregateReadiness(services) {
+  const entries = Object.entries(services).map(([name, entry]) =>
+    typeof entry === 'string' ? { name, url: entry, critical: true } : { name, critical: true, ...entry }
+  );
+  return async (req, res) => {
+    const results = await Promise.all(entries.map(({ url }) => probe(url)));
+    const dependencies = Object.fromEntries(entries.map(({ name, critical }, i) =>
+      [name, critical ? results[i] : { ...results[i], critical }]
+    ));
+    const ok = results.every((r, i) => r.ok || !entries[i].critical);
+    res.status(ok ? 200 : 503).json({ ok, service: 'gateway', dependencies });
+  };
+}
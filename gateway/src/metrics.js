@@ -0,0 +1,45 @@
+// Métricas Prometheus do gateway (mesmos nomes de common/metrics.js; o gateway não
+// depende de common/). As rotas são proxies montados com app.use, então o label route
+// é o prefixo da API (/users, /orders, /auth, /api) e não o path completo.
+import client from 'prom-client';
+
+export const register = client.register;
+register.setDefaultLabels({ service: 'gateway' });
+client.collectDefaultMetrics({ register });
+
+const ROUTE_PREFIXES = ['/api', '/api-docs', '/openapi.json', '/auth', '/users', '/orders', '/notifications', '/events', '/health', '/metrics'];
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duração das requisições HTTP',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+});
+
+function routeOf(req) {
+  const prefix = `/${req.path.split('/')[1]}`;
+  return ROUTE_PREFIXES.includes(prefix) ? prefix : 'unmatched';
+}
+
+export function httpMetrics() {
+  return (req, res, next) => {
+    const end = httpRequestDuration.startTimer();
+    // req.path muda dentro dos proxies; guarda a rota antes
+    const route = routeOf(req);
+    res.on('finish', () => end({ method: req.method, route, status_code: res.statusCode }));
+    next();
+  };
+}
+
+export const rateLimitedRequests = new client.Counter({
+  name: 'gateway_rate_limited_total',
+  help: 'Requisições recusadas com 429 pelo rate limit',
+  labelNames: ['rule']
+});
+
+export function metricsHandler() {
+  return async (req, res) => {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  };
+}
@@ -0,0 +1,121 @@
+// Spec único do gateway, montado a partir do GET /openapi.json de cada serviço.
+//
+// Os paths ganham o prefixo do proxy (/{id} do orders vira /orders/{id}); os que o
+// gateway monta na raiz (ex.: /auth do users) ficam como estão. Os components ganham o
+// nome do serviço como namespace (users.Error, orders.Error) e os $ref são reescritos.
+// O documento fica em cache e é buscado de novo a cada OPENAPI_REFRESH_MS (com ETag, o
+// serviço responde 304 se nada mudou); serviço fora do ar mantém a última versão lida.
+// Cada busca espera no máximo OPENAPI_FETCH_TIMEOUT_MS.
+const REFRESH_MS = Number(process.env.OPENAPI_REFRESH_MS || 30000);
+const TIMEOUT_MS = Number(process.env.OPENAPI_FETCH_TIMEOUT_MS || 5000);
+
+// service = { name, prefix, passthrough: ['/auth'] }
+export function gatewayPath(service, path) {
+  if ((service.passthrough || []).some(p => path === p || path.startsWith(`${p}/`))) return path;
+  return path === '/' ? service.prefix : `${service.prefix}${path}`;
+}
+
+function namespaceRefs(node, ns) {
+  if (Array.isArray(node)) return node.map(item => namespaceRefs(item, ns));
+  if (!node || typeof node !== 'object') return node;
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => {
+    if (key === '$ref' && typeof value === 'string') {
+      return [key, value.replace(/^#\/components\/([^/]+)\/(.+)$/, `#/components/$1/${ns}.$2`)];
+    }
+    return [key, namespaceRefs(value, ns)];
+  }));
+}
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'options', 'head', 'trace'];
+
+// specs = [{ service, spec }] -> documento OpenAPI único
+export function mergeSpecs(specs, { title = 'API Gateway', version = '1.0.0' } = {}) {
+  const merged = {
+    openapi: '3.0.0',
+    info: {
+      title,
+      version,
+      description: `Gerado a partir de: ${specs.map(({ service, spec }) => `${service.name} (${spec.info?.version ?? '?'})`).join(', ')}`
+    },
+    servers: [{ url: '/' }],
+    tags: [],
+    paths: {},
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    },
+    security: [{ bearerAuth: [] }]
+  };
+
+  for (const { service, spec } of specs) {
+    const ns = service.name;
+    merged.tags.push({ name: ns, description: spec.info?.title });
+
+    for (const [path, item] of Object.entries(spec.paths || {})) {
+      const rewritten = namespaceRefs(item, ns);
+      for (const method of HTTP_METHODS) {
+        if (rewritten[method] && !rewritten[method].tags) rewritten[method].tags = [ns];
+      }
+      delete rewritten.servers;
+      merged.paths[gatewayPath(service, path)] = rewritten;
+    }
+
+    for (const [type, entries] of Object.entries(spec.components || {})) {
+      merged.components[type] ??= {};
+      for (const [name, value] of Object.entries(entries)) {
+        merged.components[type][`${ns}.${name}`] = namespaceRefs(value, ns);
+      }
+    }
+  }
+  return merged;
+}
+
+export function createSpecAggregator({ services, refreshMs = REFRESH_MS, timeoutMs = TIMEOUT_MS, log }) {
+  const cache = new Map(); // nome do serviço -> { spec, etag }
+  let merged = null;
+  let loadedAt = 0;
+  let refreshing = null;
+
+  async function fetchSpec(service) {
+    const cached = cache.get(service.name);
+    try {
+      const resp = await fetch(`${service.url}/openapi.json`, {
+        headers: cached?.etag ? { 'if-none-match': cached.etag } : {},
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (resp.status === 304) return false;
+      if (!resp.ok) throw new Error(`status ${resp.status}`);
+      cache.set(service.name, { spec: await resp.json(), etag: resp.headers.get('etag') });
+      log?.info('openapi spec loaded', { service: service.name });
+      return true;
+    } catch (err) {
+      log?.warn('openapi spec unavailable, keeping last version', { service: service.name, err: err.message });
+      return false;
+    }
+  }
+
+  async function refresh() {
+    const changed = await Promise.all(services.map(fetchSpec));
+    if (changed.some(Boolean) || !merged) {
+      merged = mergeSpecs(services.filter(s => cache.has(s.name)).map(s => ({ service: s, spec: cache.get(s.name).spec })));
+    }
+    loadedAt = Date.now();
+  }
+
+  return {
+    // Devolve o spec, buscando de novo se o cache passou de refreshMs
+    async get() {
+      if (!merged || Date.now() - loadedAt >= refreshMs) {
+        refreshing ??= refresh().finally(() => { refreshing = null; });
+        await refreshing;
+      }
+      return merged;
+    },
+    refresh
+  };
+}
+
+export function specHandler(aggregator) {
+  return async (req, res) => res.json(await aggregator.get());
+}
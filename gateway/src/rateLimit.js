@@ -0,0 +1,161 @@
+// Rate limiting no gateway (token bucket).
+//
+// Cada regra tem um balde por cliente com `limit` fichas que se reabastecem ao longo
+// de `windowMs`: dá para gastar tudo de uma vez (rajada) e depois o ritmo fica em
+// limit/windowMs. Cliente = usuário do JWT (user:<id>); sem token, a API key conhecida
+// (apikey:<nome>, header X-API-Key) ou o IP. Regras com by: 'ip' contam sempre por IP
+// (ex.: login, contra força bruta).
+//
+// As respostas levam RateLimit-Limit/Remaining/Reset/Policy; acima do limite, 429 com
+// Retry-After. O store guarda os baldes: memória (um gateway só) ou Redis (vários).
+import Redis from 'ioredis';
+
+const WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60000);
+const limitFromEnv = (name, fallback) => Number(process.env[name] || fallback);
+
+// Avaliadas em ordem; a primeira que casar com método + path vale (como ACCESS_RULES)
+export const RATE_LIMIT_RULES = [
+  { name: 'login', method: 'POST', path: /^\/auth\/login\/?$/i, limit: limitFromEnv('RATE_LIMIT_LOGIN', 10), windowMs: WINDOW_MS, by: 'ip' },
+  { name: 'orders-create', method: 'POST', path: /^\/orders\/?$/i, limit: limitFromEnv('RATE_LIMIT_ORDERS_CREATE', 30), windowMs: WINDOW_MS },
+  { name: 'default', method: '*', path: /^\//, limit: limitFromEnv('RATE_LIMIT_DEFAULT', 300), windowMs: WINDOW_MS }
+];
+
+// Reabastece o balde pelo tempo decorrido e tenta tirar uma ficha
+export function takeToken(bucket, { capacity, refillPerMs, now }) {
+  const elapsed = Math.max(0, now - (bucket?.updatedAt ?? now));
+  let tokens = Math.min(capacity, (bucket?.tokens ?? capacity) + elapsed * refillPerMs);
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+  return { allowed, tokens, updatedAt: now };
+}
+
+// ### Stores: take(key, { capacity, refillPerMs, now, ttlMs }) -> { allowed, tokens } ###
+
+export function createMemoryStore({ pruneEveryMs = 60000 } = {}) {
+  const buckets = new Map();
+  let lastPrune = 0;
+
+  // Descarta baldes parados há mais que o próprio ttl (já estariam cheios de novo)
+  function prune(now) {
+    if (now - lastPrune < pruneEveryMs) return;
+    lastPrune = now;
+    for (const [key, bucket] of buckets) {
+      if (now - bucket.updatedAt > bucket.ttlMs) buckets.delete(key);
+    }
+  }
+
+  return {
+    async take(key, options) {
+      prune(options.now);
+      const bucket = takeToken(buckets.get(key), options);
+      buckets.set(key, { ...bucket, ttlMs: options.ttlMs });
+      return bucket;
+    }
+  };
+}
+
+// Mesmo algoritmo de takeToken, atômico dentro do Redis
+export const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refill)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return { allowed, tostring(tokens) }
+`;
+
+// client: ioredis ou qualquer cliente compatível com eval(script, numKeys, ...keysEArgs)
+export function createRedisStore(client, { prefix = 'ratelimit:' } = {}) {
+  return {
+    async take(key, { capacity, refillPerMs, now, ttlMs }) {
+      const [allowed, tokens] = await client.eval(
+        TOKEN_BUCKET_SCRIPT, 1, `${prefix}${key}`, capacity, refillPerMs, now, Math.ceil(ttlMs)
+      );
+      return { allowed: Number(allowed) === 1, tokens: Number(tokens) };
+    }
+  };
+}
+
+// RATE_LIMIT_REDIS_URL definido = baldes compartilhados entre instâncias do gateway
+export function createStoreFromEnv() {
+  const url = process.env.RATE_LIMIT_REDIS_URL;
+  if (!url) return createMemoryStore();
+  return createRedisStore(new Redis(url, { maxRetriesPerRequest: 1, enableOfflineQueue: false }));
+}
+
+// API keys de clientes máquina a máquina: RATE_LIMIT_API_KEYS=parceiro-a:chave1,parceiro-b:chave2.
+// Só identificam o cliente no rate limit (um balde por nome, não por IP); não autenticam.
+// Chave desconhecida conta pelo IP, senão trocar de chave a cada requisição furaria o limite.
+export const API_KEY_HEADER = 'x-api-key';
+
+export function parseApiKeys(value = '') {
+  const keys = new Map();
+  for (const entry of value.split(',')) {
+    const [name, key] = entry.split(':').map(part => part?.trim());
+    if (name && key) keys.set(key, name);
+  }
+  return keys;
+}
+
+function clientOf(req, rule, identify, apiKeys) {
+  if (rule.by === 'ip') return `ip:${req.ip}`;
+  const userId = identify(req);
+  if (userId) return `user:${userId}`;
+  const apiKey = apiKeys.get(req.get(API_KEY_HEADER));
+  return apiKey ? `apikey:${apiKey}` : `ip:${req.ip}`;
+}
+
+// identify(req) -> id do usuário ou null. No gateway o limite vem ANTES de authenticate
+// (verifiedUserId de auth.js): requisições com token inválido também gastam fichas, do IP.
+export function rateLimit({
+  rules = RATE_LIMIT_RULES,
+  store = createMemoryStore(),
+  identify = req => req.user?.id,
+  apiKeys = parseApiKeys(process.env.RATE_LIMIT_API_KEYS),
+  log,
+  onLimited = () => {}
+} = {}) {
+  return async (req, res, next) => {
+    const rule = rules.find(r => (r.method === '*' || r.method === req.method) && r.path.test(req.path));
+    if (!rule) return next();
+
+    const refillPerMs = rule.limit / rule.windowMs;
+    let result;
+    try {
+      result = await store.take(`${rule.name}:${clientOf(req, rule, identify, apiKeys)}`, {
+        capacity: rule.limit,
+        refillPerMs,
+        now: Date.now(),
+        ttlMs: rule.windowMs
+      });
+    } catch (err) {
+      // Store fora do ar: melhor deixar passar do que derrubar o gateway
+      log?.warn('rate limit store unavailable, request allowed', { rule: rule.name, err: err.message });
+      return next();
+    }
+
+    const secondsUntil = tokens => Math.max(0, Math.ceil(tokens / refillPerMs / 1000));
+    res.set({
+      'RateLimit-Limit': String(rule.limit),
+      'RateLimit-Remaining': String(Math.floor(result.tokens)),
+      'RateLimit-Reset': String(secondsUntil(rule.limit - result.tokens)),
+      'RateLimit-Policy': `${rule.limit};w=${Math.ceil(rule.windowMs / 1000)}`
+    });
+
+    if (!result.allowed) {
+      onLimited(rule);
+      res.set('Retry-After', String(Math.max(1, secondsUntil(1 - result.tokens))));
+      return res.status(429).json({ error: 'Too many requests' });
+    }
+    next();
+  };
+}
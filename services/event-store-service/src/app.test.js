@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import supertest from 'supertest';
+
+const OCCURRED_AT = '2026-10-19T12:00:00.000Z';
+const EVENT_ID = '2f1c7c3e-8a4b-4f7e-9a59-0f3f1d9b6a11';
+const envelope = { eventId: EVENT_ID, type: 'order.cancelled', version: 1, occurredAt: OCCURRED_AT, correlationId: 'c-1',
+  payload: { orderId: 'o_1', userId: 'u_1', from: 'created', status: 'cancelled' } };
+const amqpMessage = (content, properties = {}) => ({
+  content: Buffer.from(content),
+  fields: { exchange: 'app.topic', routingKey: 'order.cancelled' },
+  properties: { messageId: EVENT_ID, contentType: 'application/json', type: 'order.cancelled', headers: { 'x-event-version': 1 }, ...properties }
+});
+const storedEvent = (overrides = {}) => ({
+  id: EVENT_ID, type: 'order.cancelled', version: 1, entityId: 'o_1', correlationId: 'c-1',
+  occurredAt: OCCURRED_AT, receivedAt: OCCURRED_AT, exchange: 'app.topic', valid: true, error: null,
+  properties: JSON.stringify({ contentType: 'application/json', messageId: EVENT_ID, type: 'order.cancelled' }),
+  headers: JSON.stringify({ 'x-event-version': 1 }),
+  content: JSON.stringify(envelope),
+  ...overrides
+});
+const asAdmin = req => req.set('x-user-id', 'u_admin').set('x-user-role', 'admin');
+
+// Mock Prisma
+jest.unstable_mockModule('./db.js', () => {
+  const prisma = {
+    storedEvent: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      count: jest.fn(),
+    },
+  };
+  prisma.$queryRaw = jest.fn();
+  return { prisma };
+});
+
+// Mock AMQP (conn.createConfirmChannel é o canal usado pelo replay)
+jest.unstable_mockModule('./amqp.js', () => ({
+  createChannel: jest.fn().mockResolvedValue({
+    conn: { close: jest.fn(), on: jest.fn(), createConfirmChannel: jest.fn() },
+    ch: {
+      assertExchange: jest.fn(), assertQueue: jest.fn(), bindQueue: jest.fn(),
+      consume: jest.fn(), publish: jest.fn(), on: jest.fn(),
+    }
+  })
+}));
+
+// Sob ESM os mocks só valem para os módulos importados depois deles
+const { default: app } = await import('./app.js');
+const { prisma } = await import('./db.js');
+const { recordMessage, eventFilters } = await import('./store.js');
+const { conn: amqpConn } = await (await import('./amqp.js')).createChannel();
+const request = supertest(app);
+
+describe('Event Store Service API', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('GET /health should return ok', async () => {
+    const res = await request.get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ ok: true, service: 'event-store' });
+  });
+
+  it('recordMessage should store the envelope with the entity and ignore duplicates', async () => {
+    prisma.storedEvent.create.mockResolvedValueOnce({});
+    expect(await recordMessage(prisma, amqpMessage(JSON.stringify(envelope)))).toBe(true);
+    expect(prisma.storedEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        id: EVENT_ID, type: 'order.cancelled', version: 1, entityId: 'o_1', correlationId: 'c-1',
+        occurredAt: new Date(OCCURRED_AT), exchange: 'app.topic', valid: true, content: JSON.stringify(envelope)
+      })
+    });
+
+    prisma.storedEvent.create.mockRejectedValueOnce(Object.assign(new Error('unique'), { code: 'P2002' }));
+    expect(await recordMessage(prisma, amqpMessage(JSON.stringify(envelope)))).toBe(false);
+  });
+
+  it('recordMessage should keep malformed messages flagged as invalid', async () => {
+    prisma.storedEvent.create.mockResolvedValueOnce({});
+    await recordMessage(prisma, amqpMessage('{not json', { messageId: 'm_1' }));
+
+    expect(prisma.storedEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ id: 'm_1', type: 'order.cancelled', valid: false, error: expect.stringContaining('JSON inválido') })
+    });
+  });
+
+  it('eventFilters should combine types, prefixes, entity and time range', () => {
+    expect(eventFilters({ type: 'user.*,order.created', entityId: 'o_1', from: OCCURRED_AT, valid: 'false' })).toEqual({
+      OR: [{ type: { startsWith: 'user.' } }, { type: 'order.created' }],
+      entityId: 'o_1',
+      occurredAt: { gte: new Date(OCCURRED_AT) },
+      valid: false
+    });
+    expect(() => eventFilters({ to: 'ontem' })).toThrow('to deve ser uma data ISO 8601');
+  });
+
+  it('GET / should be admin only and return the parsed events', async () => {
+    const asCustomer = await request.get('/').set('x-user-id', 'u_1').set('x-user-role', 'customer');
+    expect(asCustomer.status).toBe(403);
+
+    prisma.storedEvent.findMany.mockResolvedValue([storedEvent()]);
+    const res = await asAdmin(request.get('/?type=order.*&entityId=o_1'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0]).toMatchObject({ id: EVENT_ID, headers: { 'x-event-version': 1 }, body: { eventId: EVENT_ID } });
+    expect(prisma.storedEvent.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { OR: [{ type: { startsWith: 'order.' } }], entityId: 'o_1' },
+      orderBy: [{ occurredAt: 'desc' }, { id: 'desc' }]
+    }));
+  });
+
+  it('GET /:id should return 404 for an unknown event', async () => {
+    prisma.storedEvent.findUnique.mockResolvedValue(null);
+    const res = await asAdmin(request.get('/evt-x'));
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Evento não encontrado' });
+  });
+
+  it('POST /replay should publish the filtered events to the queue in order', async () => {
+    const ch = {
+      checkQueue: jest.fn().mockResolvedValue({ messageCount: 0 }),
+      publish: jest.fn((exchange, queue, content, options, cb) => cb(null)),
+      close: jest.fn().mockResolvedValue()
+    };
+    amqpConn.createConfirmChannel.mockResolvedValue(ch);
+    prisma.storedEvent.findMany.mockResolvedValue([storedEvent(), storedEvent({ id: 'evt-2' })]);
+
+    const res = await asAdmin(request.post('/replay')).send({ queue: 'orders.q', type: 'order.*' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ queue: 'orders.q', dryRun: false, replayed: 2, firstEventId: EVENT_ID, lastEventId: 'evt-2' });
+    expect(prisma.storedEvent.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { OR: [{ type: { startsWith: 'order.' } }], valid: true },
+      orderBy: [{ occurredAt: 'asc' }, { id: 'asc' }]
+    }));
+    expect(ch.publish).toHaveBeenCalledWith('', 'orders.q', Buffer.from(JSON.stringify(envelope)), expect.objectContaining({
+      messageId: EVENT_ID,
+      persistent: true,
+      headers: expect.objectContaining({ 'x-attempts': 0, 'x-original-routing-key': 'order.cancelled', 'x-replay-id': res.body.replayId })
+    }), expect.any(Function));
+    expect(ch.close).toHaveBeenCalled();
+  });
+
+  it('POST /replay should return 404 for a missing queue and only count on dry run', async () => {
+    amqpConn.createConfirmChannel.mockResolvedValue({
+      checkQueue: jest.fn().mockRejectedValue(new Error('NOT_FOUND')),
+      close: jest.fn().mockRejectedValue(new Error('Channel closed'))
+    });
+    const missing = await asAdmin(request.post('/replay')).send({ queue: 'nope.q' });
+    expect(missing.status).toBe(404);
+    expect(missing.body).toEqual({ error: 'fila não encontrada: nope.q' });
+
+    amqpConn.createConfirmChannel.mockClear();
+    prisma.storedEvent.count.mockResolvedValue(3);
+    const dryRun = await asAdmin(request.post('/replay')).send({ queue: 'orders.q', dryRun: true });
+    expect(dryRun.body).toEqual({ replayId: null, queue: 'orders.q', dryRun: true, replayed: 3, firstEventId: null, lastEventId: null });
+    expect(amqpConn.createConfirmChannel).not.toHaveBeenCalled();
+  });
+});
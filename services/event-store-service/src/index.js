@@ -0,0 +1,9 @@
+import app from './app.js';
+import { createLogger } from '../common/logger.js';
+
+const log = createLogger('event-store');
+const PORT = process.env.PORT || 3005;
+
+app.listen(PORT, () => {
+  log.info(`listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,105 @@
+// Replay: republica eventos guardados direto numa fila (default exchange), na ordem
+// em que aconteceram (occurredAt). Só vai para a fila escolhida — os outros
+// consumidores do app.topic não recebem nada de novo.
+//
+// A mensagem sai com o corpo, o messageId e os headers originais, x-attempts zerado e
+// x-replay-id/x-replayed-at para identificar a leva. O eventId é o mesmo: a
+// idempotência de cada consumidor decide o que já tinha sido aplicado.
+import { randomUUID } from 'crypto';
+import { paginate } from '../common/pagination.js';
+import { RETRY_HEADERS } from '../common/deadLetter.js';
+import { createLogger } from '../common/logger.js';
+
+export const REPLAY_HEADERS = {
+  REPLAY_ID: 'x-replay-id',
+  REPLAYED_AT: 'x-replayed-at'
+};
+
+export const DEFAULT_REPLAY_LIMIT = 1000;
+export const MAX_REPLAY_LIMIT = 10000;
+
+const REPLAY_ORDER = [{ occurredAt: 'asc' }, { id: 'asc' }];
+
+function publishConfirmed(ch, queue, row, headers) {
+  return new Promise((resolve, reject) => {
+    ch.publish('', queue, Buffer.from(row.content, 'utf8'), {
+      ...JSON.parse(row.properties),
+      persistent: true,
+      headers: {
+        ...JSON.parse(row.headers),
+        [RETRY_HEADERS.ORIGINAL_EXCHANGE]: row.exchange,
+        [RETRY_HEADERS.ORIGINAL_ROUTING_KEY]: row.type,
+        [RETRY_HEADERS.ATTEMPTS]: 0,
+        ...headers
+      }
+    }, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// getConnection() devolve a conexão AMQP atual (ou null), como em createDeadLetterAdmin
+export function createReplayer({ prisma, getConnection, batchSize = 100, service = 'event-store' }) {
+  const log = createLogger(service);
+
+  async function withChannel(fn) {
+    const conn = getConnection();
+    if (!conn) throw httpError(503, 'AMQP indisponível');
+    const ch = await conn.createConfirmChannel();
+    try {
+      return await fn(ch);
+    } finally {
+      // Fila inexistente: o broker já fechou o canal no checkQueue
+      await ch.close().catch(() => {});
+    }
+  }
+
+  // Percorre os eventos válidos do filtro em lotes, na ordem do replay
+  async function forEachEvent(where, limit, visit) {
+    let cursor;
+    let visited = 0;
+    do {
+      const page = await paginate(prisma.storedEvent, {
+        where: { ...where, valid: true },
+        orderBy: REPLAY_ORDER,
+        limit: Math.min(batchSize, limit - visited),
+        cursor
+      });
+      for (const row of page.data) await visit(row);
+      visited += page.data.length;
+      cursor = page.nextCursor;
+    } while (cursor && visited < limit);
+    return visited;
+  }
+
+  return {
+    // dryRun só conta o que seria enviado (não precisa do broker)
+    async replay({ queue, where = {}, limit = DEFAULT_REPLAY_LIMIT, dryRun = false }) {
+      if (dryRun) {
+        const matched = await prisma.storedEvent.count({ where: { ...where, valid: true } });
+        return { replayId: null, queue, dryRun: true, replayed: Math.min(matched, limit), firstEventId: null, lastEventId: null };
+      }
+
+      return withChannel(async ch => {
+        try {
+          await ch.checkQueue(queue);
+        } catch {
+          throw httpError(404, `fila não encontrada: ${queue}`);
+        }
+        const replayId = randomUUID();
+        const headers = { [REPLAY_HEADERS.REPLAY_ID]: replayId, [REPLAY_HEADERS.REPLAYED_AT]: new Date().toISOString() };
+        let firstEventId = null;
+        let lastEventId = null;
+        const replayed = await forEachEvent(where, limit, async row => {
+          await publishConfirmed(ch, queue, row, headers);
+          firstEventId ??= row.id;
+          lastEventId = row.id;
+        });
+        log.info('events replayed', { replayId, queue, replayed });
+        return { replayId, queue, dryRun: false, replayed, firstEventId, lastEventId };
+      });
+    }
+  };
+}
@@ -0,0 +1,99 @@
+// Gravação e consulta das mensagens do app.topic.
+//
+// Cada mensagem vira uma linha de StoredEvent com o corpo, as propriedades e os headers
+// AMQP originais — o suficiente para republicá-la igual (replay.js). Mensagem fora do
+// contrato também é guardada (valid = false): o event store é o registro do que passou
+// pelo broker, não só do que estava certo.
+import { randomUUID } from 'crypto';
+import { decodeEvent } from '../common/messaging.js';
+import { parseDate, range, QueryParamError } from '../common/pagination.js';
+
+// Propriedades AMQP que voltam no replay (o resto é do broker ou da entrega)
+const KEPT_PROPERTIES = ['contentType', 'contentEncoding', 'messageId', 'correlationId', 'type', 'timestamp', 'appId'];
+
+// user.*: payload.id; order.created: payload.id; demais order.* e a saga: payload.orderId
+export function entityIdOf(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  return payload.orderId ?? payload.id ?? null;
+}
+
+export function toStoredEvent(msg, receivedAt = new Date()) {
+  const { fields, properties } = msg;
+  const row = {
+    exchange: fields.exchange,
+    properties: JSON.stringify(Object.fromEntries(
+      KEPT_PROPERTIES.filter(key => properties[key] !== undefined).map(key => [key, properties[key]])
+    )),
+    headers: JSON.stringify(properties.headers || {}),
+    content: msg.content.toString('utf8'),
+    receivedAt
+  };
+  try {
+    const event = decodeEvent(msg);
+    return {
+      ...row,
+      id: event.eventId,
+      type: event.type,
+      version: event.version,
+      entityId: entityIdOf(event.payload),
+      correlationId: event.correlationId || null,
+      occurredAt: new Date(event.occurredAt),
+      valid: true
+    };
+  } catch (err) {
+    return {
+      ...row,
+      id: properties.messageId || randomUUID(),
+      type: fields.routingKey,
+      correlationId: properties.correlationId || null,
+      occurredAt: receivedAt,
+      valid: false,
+      error: err.message
+    };
+  }
+}
+
+// false = o evento já estava guardado (o outbox entrega pelo menos uma vez)
+export async function recordMessage(db, msg) {
+  try {
+    await db.storedEvent.create({ data: toStoredEvent(msg) });
+    return true;
+  } catch (err) {
+    if (err.code === 'P2002') return false;
+    throw err;
+  }
+}
+
+// Filtros da listagem e do replay (lança QueryParamError -> 400)
+// type aceita lista separada por vírgula e prefixo: ?type=user.*,order.created
+export function eventFilters(query) {
+  const where = {};
+  if (query.type) {
+    const types = String(query.type).split(',').map(type => type.trim()).filter(Boolean);
+    where.OR = types.map(type => (type.endsWith('.*')
+      ? { type: { startsWith: type.slice(0, -1) } }
+      : { type }));
+  }
+  if (query.entityId) where.entityId = String(query.entityId);
+  if (query.correlationId) where.correlationId = String(query.correlationId);
+  const occurredAt = range(parseDate(query.from, 'from'), parseDate(query.to, 'to'));
+  if (occurredAt) where.occurredAt = occurredAt;
+  if (query.valid !== undefined) {
+    const valid = String(query.valid);
+    if (valid !== 'true' && valid !== 'false') throw new QueryParamError('valid deve ser true ou false');
+    where.valid = valid === 'true';
+  }
+  return where;
+}
+
+// Linha no formato da API: JSON já parseado e o corpo como objeto (ou texto, se inválido)
+export function describeStoredEvent(row) {
+  const { properties, headers, content, ...rest } = row;
+  let body;
+  try {
+    body = JSON.parse(content);
+  } catch {
+    body = content;
+  }
+  return { ...rest, properties: JSON.parse(properties), headers: JSON.parse(headers), body };
+}
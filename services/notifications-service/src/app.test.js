@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+import supertest from 'supertest';
+
+const CREATED_AT = '2026-10-19T12:00:00.000Z';
+const ana = { id: 'u_1', name: 'Ana', email: 'ana@example.com', role: 'customer', createdAt: CREATED_AT, updatedAt: CREATED_AT };
+const contact = { userId: 'u_1', name: 'Ana', email: 'ana@example.com', deletedAt: null };
+const envelope = (type, payload) => ({ eventId: `evt-${type}`, type, version: 1, occurredAt: CREATED_AT, correlationId: null, payload });
+const dbNotification = (overrides = {}) => ({
+  id: 'n_1', eventId: 'evt-user.created', template: 'welcome', channel: 'email', userId: 'u_1',
+  recipient: 'ana@example.com', subject: 'Bem-vindo(a), Ana!', body: 'Olá', status: 'pending',
+  attempts: 0, lastError: null, createdAt: CREATED_AT, sentAt: null, ...overrides
+});
+
+// Mock Prisma
+jest.unstable_mockModule('./db.js', () => {
+  const prisma = {
+    contact: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn(),
+      create: jest.fn(),
+    },
+    notification: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+  };
+  prisma.$queryRaw = jest.fn();
+  return { prisma };
+});
+
+// Mock AMQP
+jest.unstable_mockModule('./amqp.js', () => ({
+  createChannel: jest.fn().mockResolvedValue({
+    conn: { close: jest.fn(), on: jest.fn(), createConfirmChannel: jest.fn() },
+    ch: {
+      assertExchange: jest.fn(), assertQueue: jest.fn(), bindQueue: jest.fn(),
+      consume: jest.fn(), publish: jest.fn(), on: jest.fn(),
+    }
+  })
+}));
+
+// Canal de e-mail falso (o transporte real grava arquivos ou fala SMTP)
+jest.unstable_mockModule('./channels.js', () => {
+  const email = { send: jest.fn() };
+  return { createChannels: () => ({ email }) };
+});
+
+// Sob ESM os mocks só valem para os módulos importados depois deles
+const { default: app, handleUserEvent, handleOrderEvent } = await import('./app.js');
+const { prisma } = await import('./db.js');
+const { render, templatesFor } = await import('./templates.js');
+const { email } = (await import('./channels.js')).createChannels();
+const request = supertest(app);
+
+describe('Notifications Service API', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    email.send.mockResolvedValue({ location: 'outbox/n_1.eml' });
+    prisma.contact.updateMany.mockResolvedValue({ count: 1 });
+    prisma.notification.create.mockImplementation(({ data }) => Promise.resolve(dbNotification(data)));
+    prisma.notification.update.mockImplementation(({ where, data }) => Promise.resolve(dbNotification({ id: where.id, status: data.status })));
+  });
+
+  it('GET /health should return ok', async () => {
+    const res = await request.get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ ok: true, service: 'notifications' });
+  });
+
+  it('render should fill nested variables and leave missing ones empty', () => {
+    expect(render('Oi {{ contact.name }}{{missing}}, pedido {{order.id}}', { contact: { name: 'Ana' }, order: { id: 'o_1' } }))
+      .toBe('Oi Ana, pedido o_1');
+    expect(templatesFor('order.created')).toEqual(['order-confirmation']);
+    expect(templatesFor('order.paid')).toEqual([]);
+  });
+
+  it('user.created should store the contact and send the welcome email', async () => {
+    await handleUserEvent(ana, envelope('user.created', ana));
+
+    expect(prisma.contact.updateMany).toHaveBeenCalledWith(expect.objectContaining({ where: expect.objectContaining({ userId: 'u_1' }) }));
+    expect(prisma.notification.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ eventId: 'evt-user.created', template: 'welcome', channel: 'email', recipient: 'ana@example.com' })
+    });
+    expect(email.send).toHaveBeenCalledWith(expect.objectContaining({ to: 'ana@example.com', subject: 'Bem-vindo(a), Ana!' }));
+    expect(prisma.notification.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ status: 'sent', sentAt: expect.any(Date) })
+    }));
+  });
+
+  it('user.updated should only refresh the contact', async () => {
+    await handleUserEvent(ana, envelope('user.updated', ana));
+
+    expect(prisma.contact.updateMany).toHaveBeenCalled();
+    expect(prisma.notification.create).not.toHaveBeenCalled();
+  });
+
+  it('order.created should render the items and the total for the contact', async () => {
+    prisma.contact.findUnique.mockResolvedValueOnce(contact);
+    const order = { id: 'o_1', userId: 'u_1', status: 'created', total: 50, createdAt: CREATED_AT, items: [{ sku: 'BOOK-1', qty: 2, unitPrice: 25 }] };
+
+    await handleOrderEvent(order, envelope('order.created', order));
+
+    const { subject, text } = email.send.mock.calls[0][0];
+    expect(subject).toBe('Recebemos o seu pedido o_1');
+    expect(text).toContain('- 2x BOOK-1 (R$ 25,00)');
+    expect(text).toContain('Total: R$ 50,00');
+  });
+
+  it('order events should be retried while the contact is unknown and skipped for deleted users', async () => {
+    const cancelled = { orderId: 'o_1', userId: 'u_1', from: 'created', status: 'cancelled' };
+
+    prisma.contact.findUnique.mockResolvedValueOnce(null);
+    await expect(handleOrderEvent(cancelled, envelope('order.cancelled', cancelled))).rejects.toThrow('contato desconhecido: u_1');
+
+    prisma.contact.findUnique.mockResolvedValueOnce({ ...contact, deletedAt: new Date() });
+    await handleOrderEvent(cancelled, envelope('order.cancelled', cancelled));
+    expect(email.send).not.toHaveBeenCalled();
+  });
+
+  it('a redelivered event should not send an email that already went out', async () => {
+    prisma.notification.create.mockRejectedValueOnce(Object.assign(new Error('unique'), { code: 'P2002' }));
+    prisma.notification.findUnique.mockResolvedValueOnce(dbNotification({ status: 'sent' }));
+
+    await handleUserEvent(ana, envelope('user.created', ana));
+
+    expect(prisma.notification.findUnique).toHaveBeenCalledWith({
+      where: { eventId_template_channel: { eventId: 'evt-user.created', template: 'welcome', channel: 'email' } }
+    });
+    expect(email.send).not.toHaveBeenCalled();
+  });
+
+  it('a delivery failure should be recorded and rethrown for the queue retry', async () => {
+    email.send.mockRejectedValueOnce(new Error('smtp down'));
+
+    await expect(handleUserEvent(ana, envelope('user.created', ana))).rejects.toThrow('smtp down');
+
+    expect(prisma.notification.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: { status: 'failed', attempts: { increment: 1 }, lastError: 'smtp down' }
+    }));
+  });
+
+  it('GET / should only list the requester notifications for customers', async () => {
+    prisma.notification.findMany.mockResolvedValue([dbNotification()]);
+
+    const own = await request.get('/').set('x-user-id', 'u_1').set('x-user-role', 'customer');
+    expect(own.status).toBe(200);
+    expect(own.body.data).toHaveLength(1);
+    expect(prisma.notification.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 'u_1' } }));
+
+    const other = await request.get('/?userId=u_2').set('x-user-id', 'u_1').set('x-user-role', 'customer');
+    expect(other.status).toBe(403);
+  });
+
+  it('POST /:id/retry should be admin only and redeliver failed notifications', async () => {
+    const asCustomer = await request.post('/n_1/retry').set('x-user-id', 'u_1').set('x-user-role', 'customer');
+    expect(asCustomer.status).toBe(403);
+
+    prisma.notification.findUnique.mockResolvedValueOnce(dbNotification({ status: 'sent' }));
+    const alreadySent = await request.post('/n_1/retry').set('x-user-id', 'u_admin').set('x-user-role', 'admin');
+    expect(alreadySent.status).toBe(409);
+
+    prisma.notification.findUnique.mockResolvedValueOnce(dbNotification({ status: 'failed', lastError: 'smtp down' }));
+    const retried = await request.post('/n_1/retry').set('x-user-id', 'u_admin').set('x-user-role', 'admin');
+    expect(retried.status).toBe(200);
+    expect(retried.body.status).toBe('sent');
+    expect(email.send).toHaveBeenCalledTimes(1);
+  });
+});
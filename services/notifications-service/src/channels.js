@@ -0,0 +1,55 @@
+// Canais de entrega. Um canal é { send({ id, to, subject, text }) } e cada template
+// diz por quais canais sai (templates.js); um canal novo (SMS, push...) só precisa
+// entrar em createChannels.
+//
+// E-mail tem dois transportes (NOTIFY_EMAIL_TRANSPORT):
+//   file  grava um .eml por mensagem em NOTIFY_FILE_DIR (padrão; funciona offline)
+//   smtp  envia para NOTIFY_SMTP_URL (ex.: o MailHog do profile mail do docker-compose)
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+const FROM = process.env.NOTIFY_FROM || 'Loja <no-reply@example.com>';
+
+export function fileTransport({ dir, from = FROM }) {
+  return {
+    async send({ id, to, subject, text }) {
+      await mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${id}.eml`);
+      const eml = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${id}@notifications>`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        text
+      ].join('\r\n');
+      await writeFile(file, eml);
+      return { location: file };
+    }
+  };
+}
+
+export function smtpTransport({ url, from = FROM }) {
+  const transporter = nodemailer.createTransport(url);
+  return {
+    async send({ id, to, subject, text }) {
+      const info = await transporter.sendMail({ from, to, subject, text, messageId: `<${id}@notifications>` });
+      return { location: info.messageId };
+    }
+  };
+}
+
+export function createChannels(env = process.env) {
+  const transport = env.NOTIFY_EMAIL_TRANSPORT || 'file';
+  if (transport === 'smtp') {
+    if (!env.NOTIFY_SMTP_URL) throw new Error('NOTIFY_SMTP_URL é obrigatório com NOTIFY_EMAIL_TRANSPORT=smtp');
+    return { email: smtpTransport({ url: env.NOTIFY_SMTP_URL }) };
+  }
+  if (transport === 'file') {
+    return { email: fileTransport({ dir: env.NOTIFY_FILE_DIR || './outbox' }) };
+  }
+  throw new Error(`NOTIFY_EMAIL_TRANSPORT desconhecido: ${transport}`);
+}
@@ -0,0 +1,121 @@
+// Do evento à entrega: resolve o destinatário, renderiza os templates do evento, grava
+// uma linha em Notification e entrega pelo canal, registrando o status.
+//
+// Reentrega do mesmo evento não duplica mensagens (@@unique eventId + template + canal):
+// o que já saiu é pulado e o que falhou é tentado de novo. Falha de entrega lança erro
+// para a mensagem voltar pelo retry da fila (e, esgotado, ir para a DLQ).
+import { nanoid } from 'nanoid';
+import { createLogger } from '../common/logger.js';
+import { TEMPLATES, templatesFor, templateVariables, renderTemplate } from './templates.js';
+
+export const NOTIFICATION_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+// Contato ainda não conhecido (o user.created pode chegar depois do order.created)
+export class UnknownContactError extends Error {
+  constructor(userId) {
+    super(`contato desconhecido: ${userId}`);
+    this.name = 'UnknownContactError';
+  }
+}
+
+// Mesmo critério da réplica de usuários do orders-service: evento mais antigo não sobrescreve
+export async function upsertContact(db, user) {
+  const sourceUpdatedAt = new Date(user.updatedAt);
+  const data = {
+    name: user.name,
+    email: user.email,
+    deletedAt: user.deletedAt ? new Date(user.deletedAt) : null,
+    sourceUpdatedAt,
+    sourceVersion: user.version
+  };
+  const notOlder = user.version === undefined
+    ? { sourceUpdatedAt: { lte: sourceUpdatedAt } }
+    : { sourceVersion: { lte: user.version } };
+  const { count } = await db.contact.updateMany({
+    where: { userId: user.id, ...notOlder },
+    data
+  });
+  if (count > 0) return true;
+  try {
+    await db.contact.create({ data: { userId: user.id, ...data } });
+    return true;
+  } catch (err) {
+    if (err.code === 'P2002') return false;
+    throw err;
+  }
+}
+
+export function createNotifier({ prisma, channels, service = 'notifications' }) {
+  const log = createLogger(service);
+
+  async function deliver(notification) {
+    try {
+      const result = await channels[notification.channel].send({
+        id: notification.id,
+        to: notification.recipient,
+        subject: notification.subject,
+        text: notification.body
+      });
+      const sent = await prisma.notification.update({
+        where: { id: notification.id },
+        data: { status: NOTIFICATION_STATUS.SENT, sentAt: new Date(), attempts: { increment: 1 }, lastError: null }
+      });
+      log.info('notification sent', { id: notification.id, template: notification.template, location: result?.location });
+      return sent;
+    } catch (err) {
+      await prisma.notification.update({
+        where: { id: notification.id },
+        data: { status: NOTIFICATION_STATUS.FAILED, attempts: { increment: 1 }, lastError: err.message }
+      });
+      log.error('notification failed', { id: notification.id, template: notification.template, err: err.message });
+      throw err;
+    }
+  }
+
+  // Linha do evento x template x canal (a existente, numa reentrega)
+  async function record(data) {
+    try {
+      return await prisma.notification.create({ data: { id: `n_${nanoid(10)}`, ...data } });
+    } catch (err) {
+      if (err.code !== 'P2002') throw err;
+      const { eventId, template, channel } = data;
+      return prisma.notification.findUnique({ where: { eventId_template_channel: { eventId, template, channel } } });
+    }
+  }
+
+  return {
+    // contact = { userId, name, email }; devolve as notificações do evento
+    async notify(event, contact) {
+      const vars = templateVariables(event.payload, contact);
+      const results = [];
+      let failure = null;
+      for (const template of templatesFor(event.type)) {
+        for (const channel of TEMPLATES[template].channels) {
+          const { subject, text } = renderTemplate(template, vars);
+          const notification = await record({
+            eventId: event.eventId, template, channel, userId: contact.userId, recipient: contact.email, subject, body: text
+          });
+          if (notification.status === NOTIFICATION_STATUS.SENT) {
+            results.push(notification);
+            continue;
+          }
+          // Um canal com problema não impede os outros; o erro sobe no fim
+          try {
+            results.push(await deliver(notification));
+          } catch (err) {
+            failure = err;
+          }
+        }
+      }
+      if (failure) throw failure;
+      return results;
+    },
+
+    // Reenvio manual (admin) de uma notificação que falhou
+    retry: deliver
+  };
+}
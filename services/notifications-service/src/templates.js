@@ -0,0 +1,69 @@
+// Templates das notificações, por evento.
+// subject/text usam {{caminho}} (ex.: {{order.id}}); valor ausente vira string vazia.
+// channels: por quais canais (channels.js) a mensagem sai.
+import { ROUTING_KEYS } from '../common/events.js';
+
+export const TEMPLATES = {
+  welcome: {
+    event: ROUTING_KEYS.USER_CREATED,
+    channels: ['email'],
+    subject: 'Bem-vindo(a), {{contact.name}}!',
+    text: [
+      'Olá, {{contact.name}}!',
+      '',
+      'Sua conta ({{contact.email}}) foi criada. Agora é só fazer o primeiro pedido.'
+    ].join('\n')
+  },
+  'order-confirmation': {
+    event: ROUTING_KEYS.ORDER_CREATED,
+    channels: ['email'],
+    subject: 'Recebemos o seu pedido {{order.id}}',
+    text: [
+      'Olá, {{contact.name}}!',
+      '',
+      'Recebemos o pedido {{order.id}}:',
+      '{{itemLines}}',
+      '',
+      'Total: {{total}}'
+    ].join('\n')
+  },
+  'order-cancelled': {
+    event: ROUTING_KEYS.ORDER_CANCELLED,
+    channels: ['email'],
+    subject: 'Pedido {{order.orderId}} cancelado',
+    text: [
+      'Olá, {{contact.name}}!',
+      '',
+      'O pedido {{order.orderId}} foi cancelado. Se o pagamento já tinha sido feito, o estorno segue o prazo do meio de pagamento.'
+    ].join('\n')
+  }
+};
+
+// Templates disparados por um tipo de evento
+export function templatesFor(eventType) {
+  return Object.entries(TEMPLATES).filter(([, template]) => template.event === eventType).map(([name]) => name);
+}
+
+const money = value => `R$ ${Number(value).toFixed(2).replace('.', ',')}`;
+
+// Variáveis disponíveis nos templates
+export function templateVariables(payload, contact) {
+  return {
+    contact,
+    order: payload,
+    total: payload.total === undefined ? '' : money(payload.total),
+    itemLines: (payload.items || []).map(item => `- ${item.qty}x ${item.sku} (${money(item.unitPrice)})`).join('\n')
+  };
+}
+
+export function render(text, vars) {
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = path.split('.').reduce((obj, key) => obj?.[key], vars);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+export function renderTemplate(name, vars) {
+  const template = TEMPLATES[name];
+  return { subject: render(template.subject, vars), text: render(template.text, vars) };
+}
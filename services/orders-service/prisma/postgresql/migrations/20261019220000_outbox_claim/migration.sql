@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "OutboxEvent" ADD COLUMN "claimedUntil" TIMESTAMP(3);
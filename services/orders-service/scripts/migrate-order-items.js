@@ -0,0 +1,44 @@
+// Backfill: converte a coluna antiga Order.items (JSON) em linhas de OrderItem.
+// Idempotente — só processa pedidos que ainda têm legacyItems e nenhum OrderItem.
+// Passo único, fora do boot: npm run migrate:items
+// (no compose: docker compose run --rm orders npm run migrate:items)
+import { Prisma } from '@prisma/client';
+import { prisma } from '../src/db.js';
+import { fromLegacyItems } from '../src/orderItems.js';
+import { nativeJson, fromJsonColumn } from '../common/database.js';
+
+// Em coluna Json nativa, "sem valor" é o NULL do banco (Prisma.DbNull), não o null JS
+const NO_ITEMS = nativeJson ? Prisma.DbNull : null;
+
+async function main() {
+  const orders = await prisma.order.findMany({
+    where: { legacyItems: { not: NO_ITEMS }, items: { none: {} } }
+  });
+
+  let migrated = 0;
+  for (const order of orders) {
+    let legacy;
+    try {
+      legacy = fromJsonColumn(order.legacyItems);
+    } catch (err) {
+      console.error(`[orders] pedido ${order.id}: items inválido, ignorado (${err.message})`);
+      continue;
+    }
+    const items = fromLegacyItems(legacy, order.total);
+
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { legacyItems: NO_ITEMS, items: { create: items } }
+    });
+    migrated++;
+  }
+
+  console.log(`[orders] migrate-order-items: ${migrated}/${orders.length} pedidos migrados`);
+}
+
+main()
+  .catch(err => {
+    console.error('[orders] migrate-order-items error:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,19 @@
+// Resync manual da réplica local de usuários (UserReplica) a partir do users-service.
+// Idempotente — só sobrescreve linhas mais antigas que o usuário na origem.
+// Uso: npm run resync:users (também roda automaticamente na subida do serviço)
+import { prisma } from '../src/db.js';
+import { resyncUserReplica } from '../src/userReplica.js';
+
+const USERS_BASE_URL = process.env.USERS_BASE_URL || 'http://localhost:3001';
+
+async function main() {
+  const synced = await resyncUserReplica({ db: prisma, usersBaseUrl: USERS_BASE_URL });
+  console.log(`[orders] resync-users: ${synced} usuários atualizados`);
+}
+
+main()
+  .catch(err => {
+    console.error('[orders] resync-users error:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
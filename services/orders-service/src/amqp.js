@@ -1,8 +1,15 @@
 import amqplib from 'amqplib';
 
+// Uma tentativa de conexão; quem reconecta é common/amqpConnection.js
 export async function createChannel(url, exchange) {
   const conn = await amqplib.connect(url);
-  const ch = await conn.createChannel();
-  await ch.assertExchange(exchange, 'topic', { durable: true });
-  return { conn, ch };
+  try {
+    // ConfirmChannel: o relay do outbox só marca o evento como enviado após o ack do broker
+    const ch = await conn.createConfirmChannel();
+    await ch.assertExchange(exchange, 'topic', { durable: true });
+    return { conn, ch };
+  } catch (err) {
+    await conn.close().catch(() => {});
+    throw err;
+  }
 }
@@ -1,47 +1,97 @@
 // CONTEÚDO ATUALIZADO DE: services/orders-service/src/app.test.js
+import { jest } from '@jest/globals';
+import http from 'http';
+import { EventEmitter } from 'events';
 import supertest from 'supertest';
-import app from './app.js';
-import { prisma } from './db.js';
 
-const request = supertest(app);
+// Pedido como o Prisma devolve (include: { items: true }); as respostas são validadas pelo openapi.yaml
+const CREATED_AT = '2026-10-19T12:00:00.000Z';
+const dbOrder = (overrides = {}) => ({
+  id: 'o_abc', userId: 'u_789', total: 50, status: 'created', items: [], createdAt: CREATED_AT, version: 1, ...overrides
+});
+
+// Os eventos vão para o outbox já no envelope versionado (common/events.js)
+const outboxEnvelope = () => JSON.parse(prisma.outboxEvent.create.mock.calls[0][0].data.payload);
 
-// Mock Prisma (igual)
-jest.mock('./db.js', () => ({
-  prisma: {
+// Mock Prisma ($transaction executa o callback com o próprio mock como "tx")
+jest.unstable_mockModule('./db.js', () => {
+  const prisma = {
     order: {
       findMany: jest.fn(),
+      findUnique: jest.fn(),
       create: jest.fn(),
       update: jest.fn(),
+      updateMany: jest.fn(),
     },
-  },
-}));
+    orderStatusHistory: {
+      create: jest.fn(),
+      findMany: jest.fn(),
+    },
+    outboxEvent: {
+      create: jest.fn(),
+    },
+    orderSaga: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    userReplica: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn(),
+      create: jest.fn(),
+    },
+    idempotencyKey: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+  };
+  prisma.$transaction = jest.fn(fn => fn(prisma));
+  prisma.$queryRaw = jest.fn().mockResolvedValue([{ 1: 1 }]);
+  return { prisma };
+});
 
-// Mock AMQP (igual)
-jest.mock('./amqp.js', () => ({
+// Mock AMQP (conn.createConfirmChannel é o canal usado pelas rotas de admin da DLQ)
+jest.unstable_mockModule('./amqp.js', () => ({
   createChannel: jest.fn().mockResolvedValue({
-    conn: { close: jest.fn() },
+    conn: { close: jest.fn(), on: jest.fn(), createConfirmChannel: jest.fn() },
     ch: {
       assertExchange: jest.fn(), assertQueue: jest.fn(), bindQueue: jest.fn(),
-      consume: jest.fn(), publish: jest.fn(),
+      consume: jest.fn(), publish: jest.fn(), on: jest.fn(),
     }
   })
 }));
 
 // Mock Opossum (igual)
-jest.mock('opossum', () => {
+jest.unstable_mockModule('opossum', () => {
   const mockBreaker = {
     fire: jest.fn(), on: jest.fn(), fallback: jest.fn(),
   };
-  return jest.fn(() => mockBreaker);
+  return { default: jest.fn(() => mockBreaker) };
 });
+
+// Sob ESM os mocks só valem para os módulos importados depois deles
+const { default: app, handleUserDeleted, orderSaga } = await import('./app.js');
+const { upsertUserReplica, resyncUserReplica } = await import('./userReplica.js');
+const { prisma } = await import('./db.js');
 const opossum = (await import('opossum')).default;
 const mockBreaker = opossum();
+const { conn: amqpConn } = await (await import('./amqp.js')).createChannel();
+const { createAmqpConnection, AMQP_STATES } = await import('../common/amqpConnection.js');
+const { httpStatusError } = await import('../common/resilience.js');
+const { createOutboxRelay, enqueueEvent } = await import('../common/outbox.js');
+const { ROUTING_KEYS } = await import('../common/events.js');
+const { fromLegacyItems, computeTotal, toApiItem } = await import('./orderItems.js');
+const request = supertest(app);
 
 describe('Orders Service API', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
     mockBreaker.fire.mockResolvedValue({ ok: true }); 
+    mockBreaker.opened = false;
   });
 
   // Teste GET /health (igual)
@@ -51,80 +101,1026 @@ describe('Orders Service API', () => {
     expect(res.body).toEqual({ ok: true, service: 'orders' });
   });
 
+  it('GET /health/ready should report each dependency', async () => {
+    const res = await request.get('/health/ready');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      ok: true,
+      service: 'orders',
+      checks: {
+        database: { ok: true },
+        broker: { ok: true, state: 'connected' },
+        usersService: { ok: true, state: 'closed', critical: false }
+      }
+    });
+  });
+
+  it('GET /health/ready should return 503 when the database is down but not when only the breaker is open', async () => {
+    mockBreaker.opened = true;
+    const degraded = await request.get('/health/ready');
+    expect(degraded.status).toBe(200);
+    expect(degraded.body.checks.usersService).toMatchObject({ ok: false, state: 'open' });
+
+    prisma.$queryRaw.mockRejectedValueOnce(new Error('SQLITE_CANTOPEN'));
+    const down = await request.get('/health/ready');
+    expect(down.status).toBe(503);
+    expect(down.body.ok).toBe(false);
+    expect(down.body.checks.database).toMatchObject({ ok: false, error: 'SQLITE_CANTOPEN' });
+  });
+
+  it('GET /metrics should expose request histograms by route and the breaker state', async () => {
+    prisma.orderStatusHistory.findMany.mockResolvedValue([]);
+    prisma.order.findUnique.mockResolvedValue(dbOrder());
+    await request.get('/o_abc/history');
+
+    const res = await request.get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.text).toMatch(/http_request_duration_seconds_count\{service="orders-service",method="GET",route="\/:id\/history",status_code="200"\} 1/);
+    expect(res.text).toContain('circuit_breaker_state{breaker="users-service",service="orders-service"} 0');
+    expect(res.text).toContain('# TYPE amqp_messages_consumed_total counter');
+  });
+
   // ### ATUALIZADO (Passo 3) ###
-  it('GET / should return orders from prisma with items parsed', async () => {
-    // Simula o retorno do DB com 'items' como string JSON
-    const mockOrdersDb = [{ id: 'o_123', total: 100, items: '[{"sku":"A"}]' }]; 
+  it('GET / should return orders from prisma with items mapped from OrderItem', async () => {
+    // Simula o retorno do DB com a relação OrderItem incluída
+    const mockOrdersDb = [dbOrder({ id: 'o_123', total: 100, items: [{ id: 1, orderId: 'o_123', sku: 'A', quantity: 2, unitPrice: 50 }] })]; 
     prisma.order.findMany.mockResolvedValue(mockOrdersDb);
 
     const res = await request.get('/');
     expect(res.status).toBe(200);
-    // Verifica se a resposta tem 'items' como array
-    expect(res.body).toEqual([{ id: 'o_123', total: 100, items: [{sku: 'A'}] }]); 
-    expect(prisma.order.findMany).toHaveBeenCalled();
+    // Verifica se a resposta mantém 'items' como array no formato da API
+    expect(res.body).toEqual({
+      data: [dbOrder({ id: 'o_123', total: 100, items: [{ sku: 'A', qty: 2, unitPrice: 50 }] })],
+      nextCursor: null,
+      limit: 20
+    }); 
+    expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      include: { items: true },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: 21
+    }));
+  });
+
+  it('GET / should return a nextCursor when there are more orders', async () => {
+    prisma.order.findMany.mockResolvedValue([
+      dbOrder({ id: 'o_1' }), dbOrder({ id: 'o_2' }), dbOrder({ id: 'o_3' })
+    ]);
+
+    const res = await request.get('/?limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(o => o.id)).toEqual(['o_1', 'o_2']);
+    expect(res.body.nextCursor).toBe(Buffer.from('o_2').toString('base64url'));
+
+    // A próxima página parte do cursor (pulando o próprio item do cursor)
+    prisma.order.findMany.mockResolvedValue([]);
+    await request.get(`/?limit=2&cursor=${res.body.nextCursor}`);
+    expect(prisma.order.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+      cursor: { id: 'o_2' }, skip: 1, take: 3
+    }));
+  });
+
+  it('GET / should translate filters and sort into the prisma query', async () => {
+    prisma.order.findMany.mockResolvedValue([]);
+
+    await request.get('/?userId=u_1&status=created,paid&createdFrom=2025-01-01&minTotal=10&maxTotal=99.9&sort=total');
+
+    expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        userId: 'u_1',
+        status: { in: ['created', 'paid'] },
+        createdAt: { gte: new Date('2025-01-01') },
+        total: { gte: 10, lte: 99.9 }
+      },
+      orderBy: [{ total: 'asc' }, { id: 'asc' }]
+    }));
+  });
+
+  it.each([
+    ['limit=0'],
+    ['limit=abc'],
+    ['sort=-password'],
+    ['createdFrom=ontem'],
+    ['minTotal=dez'],
+    ['cursor=%%%']
+  ])('GET /?%s should return 400', async query => {
+    const res = await request.get(`/?${query}`);
+    expect(res.status).toBe(400);
+    expect(prisma.order.findMany).not.toHaveBeenCalled();
+  });
+
+  it('GET / should forbid customers from listing orders of another user', async () => {
+    const res = await request
+      .get('/?userId=u_other')
+      .set('x-user-id', 'u_me')
+      .set('x-user-role', 'customer');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('GET /users/:userId/orders should list the user orders like GET /?userId=', async () => {
+    prisma.order.findMany.mockResolvedValue([]);
+
+    const res = await request
+      .get('/users/u_me/orders?status=created')
+      .set('x-user-id', 'u_me')
+      .set('x-user-role', 'customer');
+
+    expect(res.status).toBe(200);
+    expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'u_me', status: { in: ['created'] } }
+    }));
+
+    const other = await request
+      .get('/users/u_other/orders')
+      .set('x-user-id', 'u_me')
+      .set('x-user-role', 'customer');
+    expect(other.status).toBe(403);
+  });
+
+  it('GET /?sku= should filter orders containing the SKU', async () => {
+    prisma.order.findMany.mockResolvedValue([]);
+
+    await request.get('/?sku=BOOK-123');
+
+    expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { items: { some: { sku: 'BOOK-123' } } }
+    }));
   });
 
   // ### ATUALIZADO (Passo 3) ###
-  it('POST / should create an order if user validation passes, stringifying items', async () => {
-    const orderInput = { userId: 'u_123', items: [{ sku: 'a', qty: 1 }], total: 150 };
-    // O objeto retornado pelo mock do create deve ter 'items' como string
-    const createdOrderDb = { ...orderInput, id: 'o_xyz', status: 'created', items: JSON.stringify(orderInput.items) }; 
+  it('POST / should create an order with OrderItem rows and a server-computed total', async () => {
+    const orderInput = { userId: 'u_123', items: [{ sku: 'a', qty: 2, unitPrice: 75 }], total: 150 };
+    // O objeto retornado pelo mock do create traz a relação OrderItem
+    const createdOrderDb = {
+      ...orderInput, id: 'o_xyz', status: 'created', createdAt: CREATED_AT, version: 1,
+      items: [{ id: 1, orderId: 'o_xyz', sku: 'a', quantity: 2, unitPrice: 75 }]
+    }; 
 
     mockBreaker.fire.mockResolvedValue({ ok: true });
     prisma.order.create.mockResolvedValue(createdOrderDb);
 
     const res = await request
       .post('/')
+      .set('x-correlation-id', 'req-123')
       .send(orderInput);
     
     expect(res.status).toBe(201);
+    expect(res.headers['x-correlation-id']).toBe('req-123');
     // A resposta final deve ter 'items' como array
     expect(res.body).toEqual({ ...createdOrderDb, items: orderInput.items }); 
+    expect(res.headers.etag).toBe('"1"');
     expect(mockBreaker.fire).toHaveBeenCalledWith('u_123');
-    // Verifica se o prisma.create foi chamado com 'items' como string
+    // Verifica se o prisma.create foi chamado com as linhas de OrderItem
     expect(prisma.order.create).toHaveBeenCalledWith({
-        data: expect.objectContaining({ items: JSON.stringify(orderInput.items) })
+        data: expect.objectContaining({
+          total: 150,
+          items: { create: [{ sku: 'a', quantity: 2, unitPrice: 75 }] }
+        }),
+        include: { items: true }
     });
+    // O evento order.created vai para o outbox na mesma transação
+    expect(prisma.$transaction).toHaveBeenCalled();
+    expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+        data: { orderId: expect.stringMatching(/^o_/), fromStatus: null, toStatus: 'created' }
+    });
+    expect(prisma.outboxEvent.create).toHaveBeenCalledWith({
+        data: { id: expect.any(String), routingKey: 'order.created', payload: expect.any(String) }
+    });
+    // O evento herda o correlation id da requisição
+    expect(outboxEnvelope()).toMatchObject({ type: 'order.created', version: 1, correlationId: 'req-123', payload: res.body });
+  });
+
+  it('POST / should compute the total when the client omits it', async () => {
+    prisma.order.create.mockResolvedValue(dbOrder({
+      id: 'o_xyz', userId: 'u_123', total: 20.3,
+      items: [{ id: 1, orderId: 'o_xyz', sku: 'a', quantity: 3, unitPrice: 0.1 }, { id: 2, orderId: 'o_xyz', sku: 'b', quantity: 1, unitPrice: 20 }]
+    }));
+
+    const res = await request
+      .post('/')
+      .send({ userId: 'u_123', items: [{ sku: 'a', qty: 3, unitPrice: 0.1 }, { sku: 'b', qty: 1, unitPrice: 20 }] });
+
+    expect(res.status).toBe(201);
+    expect(prisma.order.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ total: 20.3 })
+    }));
+  });
+
+  it('POST / should reject a total that does not match the items', async () => {
+    const res = await request
+      .post('/')
+      .send({ userId: 'u_123', items: [{ sku: 'a', qty: 2, unitPrice: 10 }], total: 5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'total não confere com os itens', expectedTotal: 20 });
+    expect(prisma.order.create).not.toHaveBeenCalled();
+  });
+
+  it('POST / should list every item violation from the openapi schema', async () => {
+    const res = await request
+      .post('/')
+      .send({ userId: 'u_123', items: [{ sku: '', qty: 0, unitPrice: -1 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.details.map(d => d.path)).toEqual(expect.arrayContaining([
+      '/body/items/0/sku',
+      '/body/items/0/qty',
+      '/body/items/0/unitPrice'
+    ]));
+    expect(mockBreaker.fire).not.toHaveBeenCalled();
+  });
+
+  it('POST / should reject a body without userId and items', async () => {
+    const res = await request.post('/').send({ total: 'muito' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.path)).toEqual(expect.arrayContaining([
+      '/body/userId',
+      '/body/items',
+      '/body/total'
+    ]));
+  });
+
+  it('should report responses that drift from openapi.yaml as 500', async () => {
+    // 'status' e 'userId' são obrigatórios no schema Order
+    prisma.order.findMany.mockResolvedValue([{ id: 'o_1', total: 1, items: [] }]);
+
+    const res = await request.get('/');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Response validation failed');
+  });
+
+  it('POST / should not write the outbox event if the order insert fails', async () => {
+    const orderInput = { userId: 'u_123', items: [{ sku: 'a', qty: 1, unitPrice: 150 }], total: 150 };
+    prisma.order.create.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+    const res = await request.post('/').send(orderInput);
+
+    expect(res.status).toBe(500);
+    expect(prisma.outboxEvent.create).not.toHaveBeenCalled();
   });
 
   // Testes de falha do POST / (iguais)
-  it('POST / should fail if breaker fails and user not in cache', async () => {
-    const orderInput = { userId: 'u_404', items: [{ sku: 'a' }], total: 150 };
+  it('POST / should fail if breaker fails and user not in the replica', async () => {
+    const orderInput = { userId: 'u_404', items: [{ sku: 'a', qty: 1, unitPrice: 150 }], total: 150 };
     mockBreaker.fire.mockRejectedValue(new Error('Fetch failed'));
 
     const res = await request.post('/').send(orderInput);
     
     expect(res.status).toBe(503);
-    expect(res.body).toEqual({ error: 'users-service indisponível e usuário não encontrado no cache' });
+    expect(res.body).toEqual({ error: 'users-service indisponível e usuário não encontrado na réplica local' });
     expect(prisma.order.create).not.toHaveBeenCalled();
   });
   
-  it('POST / should fail if circuit is open and user not in cache', async () => {
-     const orderInput = { userId: 'u_404', items: [{ sku: 'a' }], total: 150 };
+  it('POST / should fail if circuit is open and user not in the replica', async () => {
+     const orderInput = { userId: 'u_404', items: [{ sku: 'a', qty: 1, unitPrice: 150 }], total: 150 };
      mockBreaker.fire.mockRejectedValue(new Error('CIRCUIT_OPEN'));
+     prisma.userReplica.findUnique.mockResolvedValueOnce(null);
 
      const res = await request.post('/').send(orderInput);
     
      expect(res.status).toBe(503);
-     expect(res.body).toEqual({ error: 'users-service indisponível e usuário não encontrado no cache' });
+     expect(res.body).toEqual({ error: 'users-service indisponível e usuário não encontrado na réplica local' });
+     expect(prisma.userReplica.findUnique).toHaveBeenCalledWith({ where: { id: 'u_404' } });
+  });
+
+  it('POST / should validate the user against the local replica when the circuit is open', async () => {
+     mockBreaker.fire.mockRejectedValue(new Error('CIRCUIT_OPEN'));
+     prisma.userReplica.findUnique.mockResolvedValueOnce({ id: 'u_123', name: 'Ana', email: 'ana@example.com', role: 'customer' });
+     prisma.order.create.mockResolvedValue(dbOrder({
+       id: 'o_xyz', userId: 'u_123', total: 150,
+       items: [{ id: 1, orderId: 'o_xyz', sku: 'a', quantity: 1, unitPrice: 150 }]
+     }));
+
+     const res = await request.post('/').send({ userId: 'u_123', items: [{ sku: 'a', qty: 1, unitPrice: 150 }] });
+
+     expect(res.status).toBe(201);
+     expect(prisma.order.create).toHaveBeenCalled();
   });
 
   // ### ADICIONADO TESTE PARA CANCELAMENTO (Passo 3) ###
    it('POST /orders/:id/cancel should cancel an order and return parsed items', async () => {
      const orderId = 'o_abc';
-     // Simula o retorno do DB com 'items' como string
-     const updatedOrderDb = { id: orderId, status: 'cancelled', items: '[{"sku":"B"}]', userId: 'u_789', total: 50 };
-     prisma.order.update.mockResolvedValue(updatedOrderDb);
+     // Simula o retorno do DB com a relação OrderItem
+     const updatedOrderDb = {
+       id: orderId, status: 'cancelled', userId: 'u_789', total: 50, createdAt: CREATED_AT, version: 2,
+       items: [{ id: 7, orderId, sku: 'B', quantity: 1, unitPrice: 50 }]
+     };
+     prisma.order.findUnique
+       .mockResolvedValueOnce({ ...updatedOrderDb, status: 'created', version: 1 })
+       .mockResolvedValueOnce(updatedOrderDb);
+     prisma.order.updateMany.mockResolvedValue({ count: 1 });
 
      const res = await request.post(`/orders/${orderId}/cancel`);
 
      expect(res.status).toBe(200);
      // Verifica se a resposta tem 'items' como array
-     expect(res.body).toEqual({ ...updatedOrderDb, items: [{sku: 'B'}] });
-     expect(prisma.order.update).toHaveBeenCalledWith({
-       where: { id: orderId },
-       data: expect.objectContaining({ status: 'cancelled' })
+     expect(res.body).toEqual({ ...updatedOrderDb, items: [{ sku: 'B', qty: 1, unitPrice: 50 }] });
+     expect(prisma.order.updateMany).toHaveBeenCalledWith({
+       where: { id: orderId, status: 'created', version: 1 },
+       data: expect.objectContaining({ status: 'cancelled', version: { increment: 1 } })
+     });
+     expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+       data: { orderId, fromStatus: 'created', toStatus: 'cancelled' }
+     });
+     expect(prisma.outboxEvent.create).toHaveBeenCalledWith({
+       data: expect.objectContaining({ routingKey: 'order.cancelled' })
+     });
+     expect(outboxEnvelope()).toMatchObject({
+       type: 'order.cancelled',
+       version: 1,
+       payload: { orderId, userId: 'u_789', from: 'created', status: 'cancelled', version: 2 }
+     });
+     expect(res.headers.etag).toBe('"2"');
+   });
+
+   it('POST /:id/cancel should return 409 when the order is already cancelled', async () => {
+     prisma.order.findUnique.mockResolvedValue(dbOrder({ status: 'cancelled' }));
+
+     const res = await request.post('/o_abc/cancel');
+
+     expect(res.status).toBe(409);
+     expect(res.body).toMatchObject({ status: 'cancelled', action: 'cancel' });
+     expect(prisma.order.updateMany).not.toHaveBeenCalled();
+     expect(prisma.outboxEvent.create).not.toHaveBeenCalled();
+   });
+
+   it('POST /:id/cancel should return 409 if the status changed concurrently', async () => {
+     prisma.order.findUnique
+       .mockResolvedValueOnce(dbOrder())
+       .mockResolvedValueOnce(dbOrder({ status: 'paid' }));
+     prisma.order.updateMany.mockResolvedValue({ count: 0 });
+
+     const res = await request.post('/o_abc/cancel');
+
+     expect(res.status).toBe(409);
+     expect(res.body).toMatchObject({ status: 'paid' });
+     expect(prisma.outboxEvent.create).not.toHaveBeenCalled();
+   });
+
+   it('POST /:id/cancel should return 412 when If-Match is not the current version', async () => {
+     prisma.order.findUnique.mockResolvedValue(dbOrder({ version: 3 }));
+
+     const res = await request.post('/o_abc/cancel').set('If-Match', '"2"');
+
+     expect(res.status).toBe(412);
+     expect(res.headers.etag).toBe('"3"');
+     expect(res.body).toMatchObject({ currentVersion: 3 });
+     expect(prisma.order.updateMany).not.toHaveBeenCalled();
+     expect(prisma.outboxEvent.create).not.toHaveBeenCalled();
+   });
+
+   it('POST /:id/cancel should apply the transition when If-Match matches', async () => {
+     prisma.order.findUnique
+       .mockResolvedValueOnce(dbOrder({ version: 3 }))
+       .mockResolvedValueOnce(dbOrder({ status: 'cancelled', version: 4 }));
+     prisma.order.updateMany.mockResolvedValue({ count: 1 });
+
+     const res = await request.post('/o_abc/cancel').set('If-Match', '"3"');
+
+     expect(res.status).toBe(200);
+     expect(res.headers.etag).toBe('"4"');
+     expect(outboxEnvelope().payload).toMatchObject({ status: 'cancelled', version: 4 });
+   });
+
+   it('POST /:id/pay should move a created order to paid and publish order.paid', async () => {
+     prisma.order.findUnique
+       .mockResolvedValueOnce(dbOrder())
+       .mockResolvedValueOnce(dbOrder({ status: 'paid' }));
+     prisma.order.updateMany.mockResolvedValue({ count: 1 });
+
+     const res = await request.post('/o_abc/pay');
+
+     expect(res.status).toBe(200);
+     expect(res.body.status).toBe('paid');
+     expect(prisma.outboxEvent.create).toHaveBeenCalledWith({
+       data: expect.objectContaining({ routingKey: 'order.paid' })
      });
    });
 
-});
\ No newline at end of file
+   it('POST /:id/pay should not let a customer mark the own order as paid', async () => {
+     prisma.order.findUnique.mockResolvedValue(dbOrder());
+
+     const res = await request
+       .post('/o_abc/pay')
+       .set('x-user-id', 'u_789')
+       .set('x-user-role', 'customer');
+
+     expect(res.status).toBe(403);
+     expect(prisma.order.updateMany).not.toHaveBeenCalled();
+   });
+
+   it('POST /:id/ship should be admin only', async () => {
+     prisma.order.findUnique.mockResolvedValue(dbOrder({ status: 'paid' }));
+
+     const res = await request
+       .post('/o_abc/ship')
+       .set('x-user-id', 'u_789')
+       .set('x-user-role', 'customer');
+
+     expect(res.status).toBe(403);
+   });
+
+   it('GET /:id should return the order with its items and enforce ownership', async () => {
+     prisma.order.findUnique.mockResolvedValue(dbOrder({ items: [{ id: 1, orderId: 'o_abc', sku: 'A', quantity: 2, unitPrice: 25 }] }));
+
+     const res = await request.get('/o_abc');
+     expect(res.status).toBe(200);
+     expect(res.body).toMatchObject({ id: 'o_abc', items: [{ sku: 'A', qty: 2, unitPrice: 25 }] });
+     expect(prisma.order.findUnique).toHaveBeenCalledWith({ where: { id: 'o_abc' }, include: { items: true } });
+
+     const other = await request.get('/o_abc').set('x-user-id', 'u_other').set('x-user-role', 'customer');
+     expect(other.status).toBe(403);
+   });
+
+   it('GET /:id/history should list the status transitions', async () => {
+     const history = [{ id: 1, orderId: 'o_abc', fromStatus: null, toStatus: 'created' }];
+     prisma.order.findUnique.mockResolvedValue(dbOrder());
+     prisma.orderStatusHistory.findMany.mockResolvedValue(history);
+
+     const res = await request.get('/o_abc/history');
+
+     expect(res.status).toBe(200);
+     expect(res.body).toEqual(history);
+   });
+
+   it('POST /orders/:id/cancel should return 404 for an unknown order', async () => {
+     prisma.order.findUnique.mockResolvedValue(null);
+
+     const res = await request.post('/orders/o_nope/cancel');
+
+     expect(res.status).toBe(404);
+     expect(res.body).toEqual({ error: 'Pedido não encontrado' });
+     expect(prisma.order.updateMany).not.toHaveBeenCalled();
+   });
+
+   it('POST /orders/:id/cancel should point to the new route with Deprecation and Link headers', async () => {
+     prisma.order.findUnique.mockResolvedValue(null);
+
+     const res = await request.post('/orders/o_abc/cancel');
+
+     expect(res.headers.deprecation).toBe('true');
+     expect(res.headers.link).toBe('</o_abc/cancel>; rel="successor-version"');
+   });
+
+   it('should answer unknown routes with a JSON 404', async () => {
+     const res = await request.get('/o_abc/unknown/route');
+
+     expect(res.status).toBe(404);
+     expect(res.body).toEqual({ error: 'Rota não encontrada' });
+   });
+
+   it('POST /orders/:id/cancel should forbid customers from cancelling orders of others', async () => {
+     prisma.order.findUnique.mockResolvedValue(dbOrder({ userId: 'u_owner' }));
+
+     const res = await request
+       .post('/orders/o_abc/cancel')
+       .set('x-user-id', 'u_intruder')
+       .set('x-user-role', 'customer');
+
+     expect(res.status).toBe(403);
+     expect(prisma.order.updateMany).not.toHaveBeenCalled();
+   });
+
+   it('POST / should forbid customers from creating orders for another user', async () => {
+     const res = await request
+       .post('/')
+       .set('x-user-id', 'u_me')
+       .set('x-user-role', 'customer')
+       .send({ userId: 'u_other', items: [{ sku: 'a', qty: 1, unitPrice: 10 }], total: 10 });
+
+     expect(res.status).toBe(403);
+     expect(mockBreaker.fire).not.toHaveBeenCalled();
+   });
+
+   it('GET / should only list the requester orders for customers', async () => {
+     prisma.order.findMany.mockResolvedValue([]);
+
+     await request
+       .get('/')
+       .set('x-user-id', 'u_me')
+       .set('x-user-role', 'customer');
+
+     expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 'u_me' } }));
+   });
+
+
+  it('GET /admin/dlq should be admin only', async () => {
+    const res = await request.get('/admin/dlq').set('x-user-id', 'u_789').set('x-user-role', 'customer');
+
+    expect(res.status).toBe(403);
+    expect(amqpConn.createConfirmChannel).not.toHaveBeenCalled();
+  });
+
+  it('GET /admin/dlq should list dead-lettered messages without consuming them', async () => {
+    const deadLetter = {
+      content: Buffer.from('{not json'),
+      fields: {},
+      properties: {
+        messageId: 'm_1',
+        headers: { 'x-dead-letter-reason': 'malformed', 'x-attempts': 0, 'x-original-routing-key': 'user.created' }
+      }
+    };
+    const ch = {
+      checkQueue: jest.fn().mockResolvedValue({ messageCount: 1 }),
+      get: jest.fn().mockResolvedValueOnce(deadLetter).mockResolvedValueOnce(false),
+      ack: jest.fn(),
+      close: jest.fn()
+    };
+    amqpConn.createConfirmChannel.mockResolvedValue(ch);
+
+    const res = await request.get('/admin/dlq').set('x-user-id', 'u_admin').set('x-user-role', 'admin');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      queue: 'orders.q.dlq',
+      count: 1,
+      messages: [{
+        messageId: 'm_1', type: null, routingKey: 'user.created', reason: 'malformed',
+        attempts: 0, lastError: null, deadLetteredAt: null, body: '{not json'
+      }]
+    });
+    // Sem ack: ao fechar o canal a mensagem volta para a DLQ
+    expect(ch.ack).not.toHaveBeenCalled();
+    expect(ch.close).toHaveBeenCalled();
+  });
+
+  it('GET /admin/resilience should expose the users-service breaker state and policy to admins only', async () => {
+    const asCustomer = await request.get('/admin/resilience').set('x-user-id', 'u_789').set('x-user-role', 'customer');
+    expect(asCustomer.status).toBe(403);
+
+    mockBreaker.opened = true;
+    mockBreaker.stats = { fires: 8, successes: 2, failures: 6, rejects: 3, timeouts: 0 };
+    const res = await request.get('/admin/resilience').set('x-user-id', 'u_admin').set('x-user-role', 'admin');
+
+    expect(res.status).toBe(200);
+    expect(res.body.downstreams).toEqual([{
+      downstream: 'users-service',
+      state: 'open',
+      policy: expect.objectContaining({ timeoutMs: 2000, retries: 2, maxConcurrent: 10, errorThresholdPercentage: 50 }),
+      bulkhead: { active: 0, queued: 0 },
+      stats: { fires: 8, successes: 2, failures: 6, rejects: 3, timeouts: 0 }
+    }]);
+  });
+
+  it('POST / should return 422 when users-service reports the user does not exist', async () => {
+    mockBreaker.fire.mockResolvedValueOnce(null);
+
+    const res = await request.post('/').send({ userId: 'u_gone', items: [{ sku: 'a', qty: 1, unitPrice: 10 }] });
+
+    expect(res.status).toBe(422);
+    expect(res.body).toEqual({ error: 'Usuário não encontrado ou removido' });
+    expect(prisma.order.create).not.toHaveBeenCalled();
+  });
+
+  it('POST / should pass a non-transient users-service answer through without using the replica', async () => {
+    mockBreaker.fire.mockRejectedValueOnce(httpStatusError('users-service', 403));
+
+    const res = await request.post('/').send({ userId: 'u_123', items: [{ sku: 'a', qty: 1, unitPrice: 10 }] });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: 'users-service respondeu 403' });
+    expect(prisma.userReplica.findUnique).not.toHaveBeenCalled();
+    expect(prisma.order.create).not.toHaveBeenCalled();
+  });
+
+  it('POST / should use the replica when users-service answers with a 5xx and count the fallback', async () => {
+    const FALLBACKS = /circuit_breaker_events_total\{breaker="users-service",event="fallback",service="orders-service"\} (\d+)/;
+    const fallbacks = async () => Number((await request.get('/metrics')).text.match(FALLBACKS)?.[1] ?? 0);
+    const before = await fallbacks();
+    mockBreaker.fire.mockRejectedValueOnce(httpStatusError('users-service', 502));
+    prisma.userReplica.findUnique.mockResolvedValueOnce(null);
+
+    const res = await request.post('/').send({ userId: 'u_123', items: [{ sku: 'a', qty: 1, unitPrice: 10 }] });
+
+    expect(res.status).toBe(503);
+    expect(prisma.userReplica.findUnique).toHaveBeenCalledWith({ where: { id: 'u_123' } });
+    expect(await fallbacks()).toBe(before + 1);
+  });
+
+  it('POST / should reject users deleted in the replica when the circuit is open', async () => {
+    mockBreaker.fire.mockRejectedValue(new Error('CIRCUIT_OPEN'));
+    prisma.userReplica.findUnique.mockResolvedValueOnce({ id: 'u_gone', deletedAt: new Date() });
+
+    const res = await request.post('/').send({ userId: 'u_gone', items: [{ sku: 'a', qty: 1, unitPrice: 10 }] });
+
+    expect(res.status).toBe(422);
+    expect(prisma.order.create).not.toHaveBeenCalled();
+  });
+
+  it('user.deleted should tombstone the replica and close the user open orders', async () => {
+    const deletedUser = {
+      id: 'u_789', name: 'Gone', email: 'gone@example.com', role: 'customer',
+      createdAt: CREATED_AT, updatedAt: '2026-10-19T13:00:00.000Z', deletedAt: '2026-10-19T13:00:00.000Z'
+    };
+    prisma.userReplica.updateMany.mockResolvedValueOnce({ count: 1 });
+    prisma.order.findMany.mockResolvedValueOnce([dbOrder({ id: 'o_1' }), dbOrder({ id: 'o_2', status: 'paid' })]);
+    prisma.order.updateMany.mockResolvedValue({ count: 1 });
+
+    await handleUserDeleted(deletedUser);
+
+    expect(prisma.userReplica.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ deletedAt: new Date(deletedUser.deletedAt) })
+    }));
+    expect(prisma.order.findMany).toHaveBeenCalledWith({
+      where: { userId: 'u_789', status: { in: ['pending', 'created', 'paid'] } }
+    });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 'o_1', status: 'created', version: 1 }, data: expect.objectContaining({ status: 'cancelled' })
+    });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 'o_2', status: 'paid', version: 1 }, data: expect.objectContaining({ status: 'refunded' })
+    });
+    expect(prisma.outboxEvent.create.mock.calls.map(([arg]) => arg.data.routingKey))
+      .toEqual(['order.cancelled', 'order.refunded']);
+  });
+
+  it('user.* events older than the replica version should be ignored', async () => {
+    const user = { id: 'u_789', name: 'Ana', email: 'ana@example.com', role: 'customer', createdAt: CREATED_AT, updatedAt: CREATED_AT, version: 2 };
+    prisma.userReplica.updateMany.mockResolvedValueOnce({ count: 0 });
+    prisma.userReplica.create.mockRejectedValueOnce(Object.assign(new Error('unique'), { code: 'P2002' }));
+
+    await expect(upsertUserReplica(prisma, user)).resolves.toBe(false);
+
+    expect(prisma.userReplica.updateMany).toHaveBeenCalledWith({
+      where: { id: 'u_789', sourceVersion: { lte: 2 } },
+      data: expect.objectContaining({ name: 'Ana', sourceVersion: 2 })
+    });
+  });
+
+  it('resync should ask for deleted users too and tombstone them in the replica', async () => {
+    const deletedUser = {
+      id: 'u_gone', name: 'Gone', email: 'gone@example.com', role: 'customer',
+      createdAt: CREATED_AT, updatedAt: CREATED_AT, deletedAt: '2026-10-19T13:00:00.000Z', version: 3
+    };
+    const requestedUrls = [];
+    const users = http.createServer((req, res) => {
+      requestedUrls.push(req.url);
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ data: [deletedUser], nextCursor: null }));
+    });
+    await new Promise(resolve => users.listen(0, resolve));
+    prisma.userReplica.updateMany.mockResolvedValueOnce({ count: 1 });
+
+    try {
+      const synced = await resyncUserReplica({ db: prisma, usersBaseUrl: `http://localhost:${users.address().port}` });
+
+      expect(synced).toBe(1);
+      expect(new URL(requestedUrls[0], 'http://x').searchParams.get('includeDeleted')).toBe('true');
+      expect(prisma.userReplica.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'u_gone', sourceVersion: { lte: 3 } },
+        data: expect.objectContaining({ deletedAt: new Date(deletedUser.deletedAt) })
+      }));
+    } finally {
+      users.close();
+    }
+  });
+
+  // Saga de criação (ORDER_SAGA_ENABLED): pedido pending até estoque e pagamento responderem
+  const runningSaga = (overrides = {}) => ({
+    id: 'sg_1', orderId: 'o_abc', status: 'running', step: 'reserveInventory',
+    data: JSON.stringify({ userId: 'u_789', amount: 50, items: [{ sku: 'A', qty: 2 }] }), ...overrides
+  });
+  const outboxTypes = () => prisma.outboxEvent.create.mock.calls.map(([arg]) => arg.data.routingKey);
+
+  it('saga: inventory.reserved should move on to payment.authorize and ignore a repeated reply', async () => {
+    prisma.orderSaga.findUnique.mockResolvedValueOnce(runningSaga());
+    prisma.orderSaga.updateMany.mockResolvedValueOnce({ count: 1 });
+
+    await orderSaga.handleReply({ sagaId: 'sg_1', orderId: 'o_abc' }, { type: 'inventory.reserved' });
+
+    expect(prisma.orderSaga.updateMany).toHaveBeenCalledWith({
+      where: { id: 'sg_1', status: 'running', step: 'reserveInventory' },
+      data: { step: 'authorizePayment', stepDeadline: expect.any(Date) }
+    });
+    expect(outboxEnvelope()).toMatchObject({
+      type: 'payment.authorize',
+      payload: { sagaId: 'sg_1', orderId: 'o_abc', userId: 'u_789', amount: 50 }
+    });
+
+    // Reentrega: a saga já está no passo seguinte
+    prisma.orderSaga.findUnique.mockResolvedValueOnce(runningSaga({ step: 'authorizePayment' }));
+    await orderSaga.handleReply({ sagaId: 'sg_1', orderId: 'o_abc' }, { type: 'inventory.reserved' });
+    expect(prisma.outboxEvent.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('saga: payment.authorized should confirm the pending order', async () => {
+    prisma.orderSaga.findUnique.mockResolvedValueOnce(runningSaga({ step: 'authorizePayment' }));
+    prisma.orderSaga.updateMany.mockResolvedValueOnce({ count: 1 });
+    prisma.order.findUnique
+      .mockResolvedValueOnce(dbOrder({ status: 'pending' }))
+      .mockResolvedValueOnce(dbOrder({ status: 'created', version: 2, items: [{ id: 1, orderId: 'o_abc', sku: 'A', quantity: 2, unitPrice: 25 }] }));
+    prisma.order.updateMany.mockResolvedValueOnce({ count: 1 });
+
+    await orderSaga.handleReply({ sagaId: 'sg_1', orderId: 'o_abc' }, { type: 'payment.authorized' });
+
+    expect(prisma.orderSaga.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: { step: 'confirmOrder', status: 'completed', stepDeadline: null }
+    }));
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 'o_abc', status: 'pending', version: 1 }, data: expect.objectContaining({ status: 'created' })
+    });
+    // order.created (e o e-mail de confirmação) só agora, com o pedido já confirmado
+    expect(outboxTypes()).toEqual(['order.confirmed', 'order.created']);
+    expect(JSON.parse(prisma.outboxEvent.create.mock.calls[1][0].data.payload).payload)
+      .toMatchObject({ id: 'o_abc', status: 'created', version: 2 });
+  });
+
+  it('saga: payment.declined should release the inventory and reject the order', async () => {
+    prisma.orderSaga.findUnique.mockResolvedValueOnce(runningSaga({ step: 'authorizePayment' }));
+    prisma.orderSaga.updateMany.mockResolvedValueOnce({ count: 1 });
+    prisma.order.findUnique.mockResolvedValueOnce(dbOrder({ status: 'pending' }));
+    prisma.order.updateMany.mockResolvedValueOnce({ count: 1 });
+
+    await orderSaga.handleReply({ sagaId: 'sg_1', orderId: 'o_abc', reason: 'limite' }, { type: 'payment.declined' });
+
+    expect(prisma.orderSaga.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: { status: 'compensated', stepDeadline: null, failureReason: 'payment.declined: limite' }
+    }));
+    expect(outboxTypes()).toEqual(['inventory.release', 'order.rejected']);
+  });
+
+  it('saga: a step without reply before the deadline should be compensated, including the step itself', async () => {
+    prisma.orderSaga.findMany.mockResolvedValueOnce([runningSaga({ step: 'authorizePayment' })]);
+    prisma.orderSaga.updateMany.mockResolvedValueOnce({ count: 1 });
+    prisma.order.findUnique.mockResolvedValueOnce(dbOrder({ status: 'pending' }));
+    prisma.order.updateMany.mockResolvedValueOnce({ count: 1 });
+
+    await expect(orderSaga.expireTimedOut()).resolves.toBe(1);
+
+    expect(prisma.orderSaga.findMany).toHaveBeenCalledWith({
+      where: { status: 'running', stepDeadline: { lt: expect.any(Date) } }
+    });
+    expect(outboxTypes()).toEqual(['payment.void', 'inventory.release', 'order.rejected']);
+  });
+
+  it('user.deleted should abort the saga of a pending order and reject it', async () => {
+    const deletedUser = {
+      id: 'u_789', name: 'Gone', email: 'gone@example.com', role: 'customer',
+      createdAt: CREATED_AT, updatedAt: '2026-10-19T13:00:00.000Z', deletedAt: '2026-10-19T13:00:00.000Z'
+    };
+    prisma.userReplica.updateMany.mockResolvedValueOnce({ count: 1 });
+    prisma.order.findMany.mockResolvedValueOnce([dbOrder({ status: 'pending' })]);
+    prisma.orderSaga.findUnique.mockResolvedValueOnce(runningSaga({ step: 'authorizePayment' }));
+    prisma.orderSaga.updateMany.mockResolvedValueOnce({ count: 1 });
+    prisma.order.findUnique.mockResolvedValueOnce(dbOrder({ status: 'pending' }));
+    prisma.order.updateMany.mockResolvedValueOnce({ count: 1 });
+
+    await handleUserDeleted(deletedUser);
+
+    expect(prisma.order.findMany).toHaveBeenCalledWith({
+      where: { userId: 'u_789', status: { in: ['pending', 'created', 'paid'] } }
+    });
+    expect(prisma.orderSaga.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: { status: 'compensated', stepDeadline: null, failureReason: 'usuário removido' }
+    }));
+    expect(outboxTypes()).toEqual(['payment.void', 'inventory.release', 'order.rejected']);
+  });
+
+  it('GET /:id/saga should return the saga state without the internal data', async () => {
+    prisma.order.findUnique.mockResolvedValue(dbOrder({ status: 'pending' }));
+    prisma.orderSaga.findUnique.mockResolvedValueOnce(runningSaga({ stepDeadline: null, failureReason: null }));
+
+    const res = await request.get('/o_abc/saga');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ id: 'sg_1', orderId: 'o_abc', status: 'running', step: 'reserveInventory', stepDeadline: null, failureReason: null });
+
+    prisma.orderSaga.findUnique.mockResolvedValueOnce(null);
+    const withoutSaga = await request.get('/o_abc/saga');
+    expect(withoutSaga.status).toBe(404);
+  });
+
+  it('POST / should replay the original response for a repeated Idempotency-Key', async () => {
+    const orderInput = { userId: 'u_123', items: [{ sku: 'a', qty: 1, unitPrice: 10 }] };
+    prisma.order.create.mockResolvedValue(dbOrder({
+      id: 'o_xyz', userId: 'u_123', total: 10,
+      items: [{ id: 1, orderId: 'o_xyz', sku: 'a', quantity: 1, unitPrice: 10 }]
+    }));
+
+    const first = await request.post('/').set('Idempotency-Key', 'key-1').send(orderInput);
+    expect(first.status).toBe(201);
+    const stored = prisma.idempotencyKey.create.mock.calls[0][0].data;
+    expect(stored).toMatchObject({ key: 'key-1', fingerprint: expect.any(String) });
+
+    // Segunda tentativa encontra a chave já concluída
+    prisma.idempotencyKey.findUnique.mockResolvedValueOnce({
+      ...stored, status: 'completed', statusCode: 201, response: JSON.stringify(first.body)
+    });
+    const replay = await request.post('/').set('Idempotency-Key', 'key-1').send(orderInput);
+
+    expect(replay.status).toBe(201);
+    expect(replay.body).toEqual(first.body);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(prisma.order.create).toHaveBeenCalledTimes(1);
+    expect(prisma.outboxEvent.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('POST / should return 422 when an Idempotency-Key is reused with another body', async () => {
+    prisma.idempotencyKey.findUnique.mockResolvedValueOnce({
+      key: 'key-1', fingerprint: 'outro-corpo', status: 'completed', statusCode: 201,
+      response: '{}', expiresAt: new Date(Date.now() + 60000)
+    });
+
+    const res = await request
+      .post('/')
+      .set('Idempotency-Key', 'key-1')
+      .send({ userId: 'u_123', items: [{ sku: 'a', qty: 1, unitPrice: 10 }] });
+
+    expect(res.status).toBe(422);
+    expect(prisma.order.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('AMQP connection with reconnect', () => {
+  // Conexão falsa: conn e canal emitem 'close' como os do amqplib
+  const fakeAmqp = () => {
+    const conn = Object.assign(new EventEmitter(), { close: jest.fn(async () => conn.emit('close')) });
+    return { conn, ch: new EventEmitter() };
+  };
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  it('should run setup and then onConnected with the new channel already current', async () => {
+    const amqp = fakeAmqp();
+    const seen = [];
+    const connection = createAmqpConnection({
+      service: 'test',
+      connect: async () => amqp,
+      setup: async () => seen.push(['setup', connection.getChannel()]),
+      onConnected: () => seen.push(['onConnected', connection.getChannel()])
+    });
+
+    connection.start();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(seen).toEqual([['setup', null], ['onConnected', amqp.ch]]);
+    expect(connection.state).toBe(AMQP_STATES.CONNECTED);
+    await connection.close();
+  });
+
+  it('should reconnect with exponential backoff and run setup again on the new channel', async () => {
+    const connections = [];
+    const connect = jest.fn(async () => {
+      if (connect.mock.calls.length <= 2) throw new Error('ECONNREFUSED');
+      const amqp = fakeAmqp();
+      connections.push(amqp);
+      return amqp;
+    });
+    const setup = jest.fn();
+    const onConnected = jest.fn();
+    const connection = createAmqpConnection({ service: 'test', connect, setup, onConnected, minDelayMs: 100, maxDelayMs: 1000 });
+
+    connection.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(connect).toHaveBeenCalledTimes(1);
+    expect(connection.state).toBe(AMQP_STATES.DISCONNECTED);
+
+    // 1ª falha espera 100ms, a 2ª espera 200ms
+    await jest.advanceTimersByTimeAsync(99);
+    expect(connect).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(connect).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(199);
+    expect(connect).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(connect).toHaveBeenCalledTimes(3);
+    expect(connection.getChannel()).toBe(connections[0].ch);
+    expect(onConnected).toHaveBeenCalledTimes(1);
+
+    // Queda da conexão: canal some, o backoff recomeça do mínimo e o setup roda no canal novo
+    connections[0].conn.emit('close');
+    expect(connection.getChannel()).toBeNull();
+    expect(connection.state).toBe(AMQP_STATES.DISCONNECTED);
+    await jest.advanceTimersByTimeAsync(100);
+
+    expect(connect).toHaveBeenCalledTimes(4);
+    expect(setup).toHaveBeenCalledTimes(2);
+    expect(setup).toHaveBeenLastCalledWith(connections[1]);
+    expect(onConnected).toHaveBeenCalledTimes(2);
+    expect(connection.getChannel()).toBe(connections[1].ch);
+    expect(connection.state).toBe(AMQP_STATES.CONNECTED);
+    await connection.close();
+  });
+
+  it('should not reconnect after close()', async () => {
+    const connect = jest.fn(async () => fakeAmqp());
+    const connection = createAmqpConnection({ service: 'test', connect, minDelayMs: 100 });
+
+    connection.start();
+    await jest.advanceTimersByTimeAsync(0);
+    await connection.close();
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(connect).toHaveBeenCalledTimes(1);
+    expect(connection.state).toBe(AMQP_STATES.CLOSED);
+  });
+});
+
+describe('Order items backfill', () => {
+  const sumOf = rows => computeTotal(rows.map(toApiItem));
+
+  it('should keep the prices of the legacy items', () => {
+    const rows = fromLegacyItems([{ sku: 'a', qty: 2, unitPrice: 10 }, { sku: 'b', qty: 1, price: 30 }], 50);
+
+    expect(rows).toEqual([{ sku: 'a', quantity: 2, unitPrice: 10 }, { sku: 'b', quantity: 1, unitPrice: 30 }]);
+    expect(sumOf(rows)).toBe(50);
+  });
+
+  it('should split the order total across the quantity of a single unpriced item', () => {
+    const rows = fromLegacyItems([{ sku: 'c', qty: 3 }], 90);
+
+    expect(rows).toEqual([{ sku: 'c', quantity: 3, unitPrice: 30 }]);
+    expect(sumOf(rows)).toBe(90);
+  });
+
+  it('should price unpriced items at 0 when there is more than one and drop items without sku', () => {
+    const rows = fromLegacyItems([{ sku: 'a', qty: 0 }, { sku: 'b' }, { qty: 2 }, null], 40);
+
+    expect(rows).toEqual([{ sku: 'a', quantity: 1, unitPrice: 0 }, { sku: 'b', quantity: 1, unitPrice: 0 }]);
+    expect(sumOf(rows)).toBe(0);
+  });
+
+  it('should produce no rows for a legacy value that is not a list', () => {
+    expect(fromLegacyItems({ sku: 'a' }, 10)).toEqual([]);
+  });
+});
+
+describe('Outbox relay with several instances', () => {
+  // Tabela OutboxEvent em memória, com os filtros que o relay usa (igualdade, lte, OR)
+  function fakeOutboxTable() {
+    const rows = new Map();
+    const same = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+    const matches = (row, where) => Object.entries(where).every(([field, value]) => {
+      if (field === 'OR') return value.some(condition => matches(row, condition));
+      if (value && typeof value === 'object' && 'lte' in value) return row[field] !== null && row[field] <= value.lte;
+      return same(row[field], value);
+    });
+    const apply = (row, data) => {
+      for (const [field, value] of Object.entries(data)) {
+        row[field] = value && typeof value === 'object' && 'increment' in value ? row[field] + value.increment : value;
+      }
+      return { ...row };
+    };
+    const outboxEvent = {
+      create: async ({ data }) => {
+        rows.set(data.id, { status: 'pending', attempts: 0, nextAttemptAt: new Date(0), claimedUntil: null, createdAt: new Date(), ...data });
+      },
+      findMany: async ({ where, take }) => [...rows.values()].filter(row => matches(row, where)).slice(0, take).map(row => ({ ...row })),
+      updateMany: async ({ where, data }) => {
+        const hits = [...rows.values()].filter(row => matches(row, where));
+        hits.forEach(row => apply(row, data));
+        return { count: hits.length };
+      },
+      update: async ({ where, data }) => apply(rows.get(where.id), data)
+    };
+    return { rows, prisma: { outboxEvent } };
+  }
+
+  const user = id => ({
+    id, name: 'Gone', email: `${id}@example.com`, role: 'customer',
+    createdAt: CREATED_AT, updatedAt: CREATED_AT, deletedAt: CREATED_AT
+  });
+  // Canal com publisher confirms: o ack chega depois, como no broker de verdade
+  const confirmChannel = () => ({ publish: jest.fn((exchange, key, content, options, done) => setImmediate(done)) });
+  const relayOf = (prisma, ch) => createOutboxRelay({ prisma, getChannel: () => ch, exchange: 'app.topic', service: 'test' });
+
+  it('should publish each pending row once when two relays flush at the same time', async () => {
+    const { rows, prisma } = fakeOutboxTable();
+    for (const id of ['u_1', 'u_2', 'u_3']) await enqueueEvent(prisma, ROUTING_KEYS.USER_DELETED, user(id));
+    const chA = confirmChannel();
+    const chB = confirmChannel();
+
+    await Promise.all([relayOf(prisma, chA).flush(), relayOf(prisma, chB).flush()]);
+
+    const published = [...chA.publish.mock.calls, ...chB.publish.mock.calls].map(([, , , options]) => options.messageId);
+    expect(published.sort()).toEqual([...rows.keys()].sort());
+    expect(chA.publish.mock.calls.length).toBeGreaterThan(0);
+    expect(chB.publish.mock.calls.length).toBeGreaterThan(0);
+    for (const row of rows.values()) {
+      expect(row).toMatchObject({ status: 'sent', attempts: 1, claimedUntil: null });
+    }
+  });
+
+  it('should leave a row claimed by another instance alone until the lease runs out', async () => {
+    const { rows, prisma } = fakeOutboxTable();
+    await enqueueEvent(prisma, ROUTING_KEYS.USER_DELETED, user('u_1'));
+    const [row] = rows.values();
+    row.claimedUntil = new Date(Date.now() + 60000); // instância que caiu no meio da publicação
+    const ch = confirmChannel();
+    const relay = relayOf(prisma, ch);
+
+    await relay.flush();
+    expect(ch.publish).not.toHaveBeenCalled();
+    expect(row.status).toBe('pending');
+
+    row.claimedUntil = new Date(Date.now() - 1);
+    await relay.flush();
+    expect(ch.publish).toHaveBeenCalledTimes(1);
+    expect(row).toMatchObject({ status: 'sent', claimedUntil: null });
+  });
+});
@@ -1,8 +1,23 @@
 // CONTEÚDO ATUALIZADO DE: services/orders-service/src/index.js
-import app from './app.js';
+import app, { outboxRelay, orderSaga, purgeIdempotencyKeys, syncUserReplica } from './app.js';
+import { createLogger } from '../common/logger.js';
+import { bootstrapUserReplica } from './userReplica.js';
 
+const log = createLogger('orders');
 const PORT = process.env.PORT || 3002;
 
+outboxRelay.start();
+// Remove de hora em hora as Idempotency-Keys expiradas
+setInterval(() => {
+  purgeIdempotencyKeys().catch(err => log.error('idempotency purge error', { err: err.message }));
+}, 60 * 60 * 1000).unref();
+// Sagas sem resposta dentro do prazo são compensadas
+setInterval(() => {
+  orderSaga.expireTimedOut().catch(err => log.error('saga timeout check error', { err: err.message }));
+}, Number(process.env.SAGA_TIMEOUT_CHECK_MS || 5000)).unref();
+// Backfill da réplica de usuários em segundo plano (não atrasa o listen)
+bootstrapUserReplica(syncUserReplica);
+
 app.listen(PORT, () => {
-  console.log(`[orders] listening on http://localhost:${PORT}`);
+  log.info(`listening on http://localhost:${PORT}`);
 });
\ No newline at end of file
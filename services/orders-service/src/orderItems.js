@@ -0,0 +1,52 @@
+// Itens do pedido: cálculo do total no servidor e conversão entre a tabela
+// OrderItem e o formato da API ({ sku, qty, unitPrice }). O formato de cada item
+// é validado pelo openapi.yaml (schema OrderItem).
+
+// Diferença tolerada entre o total enviado pelo cliente e o calculado (arredondamento)
+const TOTAL_TOLERANCE = 0.005;
+
+// Soma em centavos para não acumular erro de ponto flutuante
+export function computeTotal(items) {
+  const cents = items.reduce((sum, item) => sum + Math.round(item.unitPrice * 100) * item.qty, 0);
+  return cents / 100;
+}
+
+export function totalMatches(clientTotal, computedTotal) {
+  return Math.abs(clientTotal - computedTotal) < TOTAL_TOLERANCE;
+}
+
+export function toDbItem(item) {
+  return { sku: item.sku.trim(), quantity: item.qty, unitPrice: item.unitPrice };
+}
+
+export function toApiItem(item) {
+  return { sku: item.sku, qty: item.quantity, unitPrice: item.unitPrice };
+}
+
+// Order (com include: { items: true }) -> formato da API; esconde a coluna legada
+export function serializeOrder(order) {
+  const { legacyItems, items = [], ...rest } = order;
+  return { ...rest, items: items.map(toApiItem) };
+}
+
+// Pedidos antigos não tinham preço por item: usa o preço se existir; com um
+// único item, divide o total pela quantidade; caso contrário, fica 0.
+function legacyUnitPrice(item, orderTotal, itemCount) {
+  const price = item.unitPrice ?? item.price;
+  if (typeof price === 'number') return price;
+  if (itemCount === 1) return orderTotal / (item.qty || 1);
+  return 0;
+}
+
+// Itens da coluna legada Order.items (JSON já lido) -> linhas de OrderItem
+// (backfill em scripts/migrate-order-items.js)
+export function fromLegacyItems(legacy, orderTotal) {
+  const list = Array.isArray(legacy) ? legacy : [];
+  return list
+    .filter(item => item && item.sku)
+    .map(item => ({
+      sku: String(item.sku),
+      quantity: Number.isInteger(item.qty) && item.qty > 0 ? item.qty : 1,
+      unitPrice: legacyUnitPrice(item, orderTotal, list.length)
+    }));
+}
@@ -0,0 +1,190 @@
+// Saga de criação do pedido, orquestrada pelo orders-service (ORDER_SAGA_ENABLED=true).
+//
+//   reserveInventory  --inventory.reserve-->  inventory.reserved | inventory.rejected
+//   authorizePayment  --payment.authorize-->  payment.authorized | payment.declined
+//   confirmOrder      (local) pedido pending -> created, e só então o order.created (onConfirmed)
+//
+// O estado fica na tabela OrderSaga e cada avanço roda numa transação que também grava o
+// próximo comando no outbox: depois de um restart a saga continua de onde parou.
+// Resposta negativa ou passo sem resposta em SAGA_STEP_TIMEOUT_MS = compensação dos passos
+// já feitos, em ordem inversa, e o pedido vai para rejected. No timeout o passo corrente
+// também é compensado (o participante pode ter aplicado o comando sem a resposta chegar).
+// Comandos são at-least-once: os participantes tratam repetições pelo sagaId.
+import { nanoid } from 'nanoid';
+import { ROUTING_KEYS } from '../common/events.js';
+import { enqueueEvent } from '../common/outbox.js';
+import { createLogger } from '../common/logger.js';
+import { toJsonColumn, fromJsonColumn } from '../common/database.js';
+
+const STEP_TIMEOUT_MS = Number(process.env.SAGA_STEP_TIMEOUT_MS || 30000);
+
+export const SAGA_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPENSATED: 'compensated'
+};
+
+// payload(data): campos do comando além de sagaId/orderId; passo sem command é local
+export const SAGA_STEPS = [
+  {
+    name: 'reserveInventory',
+    command: ROUTING_KEYS.INVENTORY_RESERVE,
+    succeeded: ROUTING_KEYS.INVENTORY_RESERVED,
+    failed: ROUTING_KEYS.INVENTORY_REJECTED,
+    compensation: ROUTING_KEYS.INVENTORY_RELEASE,
+    payload: data => ({ items: data.items })
+  },
+  {
+    name: 'authorizePayment',
+    command: ROUTING_KEYS.PAYMENT_AUTHORIZE,
+    succeeded: ROUTING_KEYS.PAYMENT_AUTHORIZED,
+    failed: ROUTING_KEYS.PAYMENT_DECLINED,
+    compensation: ROUTING_KEYS.PAYMENT_VOID,
+    payload: data => ({ userId: data.userId, amount: data.amount })
+  },
+  { name: 'confirmOrder' }
+];
+
+// Routing key da resposta -> { index do passo, ok }
+export const SAGA_REPLIES = Object.fromEntries(SAGA_STEPS.flatMap((step, index) => (step.command
+  ? [[step.succeeded, { index, ok: true }], [step.failed, { index, ok: false }]]
+  : [])));
+
+const stepIndex = name => SAGA_STEPS.findIndex(step => step.name === name);
+
+// Sem o campo data (uso interno dos comandos)
+export function serializeSaga({ data, ...saga }) {
+  return saga;
+}
+
+// applyTransition(tx, order, action) é o mesmo das rotas de transição (app.js);
+// onConfirmed(tx, orderId) roda na transação que confirma o pedido
+export function createOrderSaga({
+  prisma,
+  applyTransition,
+  onConfirmed = async () => {},
+  notify = () => {},
+  stepTimeoutMs = STEP_TIMEOUT_MS,
+  service = 'orders'
+}) {
+  const log = createLogger(service);
+  const deadline = () => new Date(Date.now() + stepTimeoutMs);
+
+  function sendCommand(tx, saga, step, data) {
+    return enqueueEvent(tx, step.command, { sagaId: saga.id, orderId: saga.orderId, ...step.payload(data) });
+  }
+
+  async function transitionOrder(tx, orderId, action) {
+    const order = await tx.order.findUnique({ where: { id: orderId } });
+    await applyTransition(tx, order, action);
+  }
+
+  // Atualiza a saga só se ela ainda estiver no passo lido: resposta repetida ou timeout
+  // concorrente não avançam (nem compensam) duas vezes
+  async function claim(tx, saga, data) {
+    const { count } = await tx.orderSaga.updateMany({
+      where: { id: saga.id, status: SAGA_STATUS.RUNNING, step: saga.step },
+      data
+    });
+    return count > 0;
+  }
+
+  async function advance(tx, saga, index) {
+    const step = SAGA_STEPS[index];
+    if (!step.command) {
+      if (!(await claim(tx, saga, { step: step.name, status: SAGA_STATUS.COMPLETED, stepDeadline: null }))) return false;
+      await transitionOrder(tx, saga.orderId, 'confirm');
+      await onConfirmed(tx, saga.orderId);
+      return true;
+    }
+    if (!(await claim(tx, saga, { step: step.name, stepDeadline: deadline() }))) return false;
+    await sendCommand(tx, saga, step, fromJsonColumn(saga.data));
+    return true;
+  }
+
+  async function compensate(tx, saga, reason, { includeCurrent = false } = {}) {
+    if (!(await claim(tx, saga, { status: SAGA_STATUS.COMPENSATED, stepDeadline: null, failureReason: reason }))) return false;
+    const current = stepIndex(saga.step);
+    const done = SAGA_STEPS.slice(0, includeCurrent ? current + 1 : current).reverse();
+    for (const step of done) {
+      if (step.compensation) await enqueueEvent(tx, step.compensation, { sagaId: saga.id, orderId: saga.orderId });
+    }
+    await transitionOrder(tx, saga.orderId, 'reject');
+    return true;
+  }
+
+  return {
+    // Chamado na transação que cria o pedido (status pending): grava a saga e o primeiro comando
+    async start(tx, order) {
+      const data = {
+        userId: order.userId,
+        amount: order.total,
+        items: order.items.map(({ sku, qty }) => ({ sku, qty }))
+      };
+      const saga = await tx.orderSaga.create({
+        data: {
+          id: `sg_${nanoid(8)}`,
+          orderId: order.id,
+          status: SAGA_STATUS.RUNNING,
+          step: SAGA_STEPS[0].name,
+          stepDeadline: deadline(),
+          data: toJsonColumn(data)
+        }
+      });
+      await sendCommand(tx, saga, SAGA_STEPS[0], data);
+      return saga;
+    },
+
+    // Consumidor das respostas dos participantes (SAGA_REPLIES)
+    async handleReply(payload, event) {
+      const reply = SAGA_REPLIES[event.type];
+      const step = SAGA_STEPS[reply.index];
+      const handled = await prisma.$transaction(async tx => {
+        const saga = await tx.orderSaga.findUnique({ where: { id: payload.sagaId } });
+        if (!saga || saga.status !== SAGA_STATUS.RUNNING || saga.step !== step.name) return false;
+        return reply.ok
+          ? advance(tx, saga, reply.index + 1)
+          : compensate(tx, saga, `${event.type}: ${payload.reason}`);
+      });
+      if (!handled) {
+        log.info('saga reply ignored', { type: event.type, sagaId: payload.sagaId, reason: 'saga não está esperando esta resposta' });
+        return;
+      }
+      notify();
+      log.info('saga advanced', { type: event.type, sagaId: payload.sagaId, orderId: payload.orderId });
+    },
+
+    // Interrompe a saga do pedido (ex.: usuário removido): compensa o que já foi feito,
+    // inclusive o passo corrente, e rejeita o pedido. false se a saga já tinha terminado.
+    async abort(orderId, reason) {
+      const aborted = await prisma.$transaction(async tx => {
+        const saga = await tx.orderSaga.findUnique({ where: { orderId } });
+        if (!saga || saga.status !== SAGA_STATUS.RUNNING) return false;
+        return compensate(tx, saga, reason, { includeCurrent: true });
+      });
+      if (aborted) notify();
+      return aborted;
+    },
+
+    // Compensa as sagas cujo passo corrente passou do prazo (chamado periodicamente por index.js)
+    async expireTimedOut(now = new Date()) {
+      const expired = await prisma.orderSaga.findMany({
+        where: { status: SAGA_STATUS.RUNNING, stepDeadline: { lt: now } }
+      });
+      let compensated = 0;
+      for (const saga of expired) {
+        const reason = `sem resposta em ${saga.step}`;
+        if (await prisma.$transaction(tx => compensate(tx, saga, reason, { includeCurrent: true }))) {
+          compensated++;
+          log.warn('saga timed out', { sagaId: saga.id, orderId: saga.orderId, step: saga.step });
+        }
+      }
+      if (compensated > 0) notify();
+      return compensated;
+    },
+
+    get(orderId) {
+      return prisma.orderSaga.findUnique({ where: { orderId } });
+    }
+  };
+}
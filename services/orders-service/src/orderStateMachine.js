@@ -0,0 +1,58 @@
+// Máquina de estados do pedido.
+//
+//   created --pay--> paid --ship--> shipped --deliver--> delivered
+//      |               |                                     |
+//   cancel           refund                                refund
+//      v               v                                     v
+//  cancelled        refunded                              refunded
+//
+// Cancelamento só antes do pagamento; depois de pago, o caminho é o reembolso.
+//
+// Com a saga ligada (ORDER_SAGA_ENABLED), o pedido nasce em pending e só a saga o move:
+//   pending --confirm--> created     pending --reject--> rejected
+import { ROUTING_KEYS } from '../common/events.js';
+
+export const ORDER_STATUS = {
+  PENDING: 'pending',
+  CREATED: 'created',
+  PAID: 'paid',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+  REJECTED: 'rejected'
+};
+
+// adminOnly: ações operacionais que o cliente não pode disparar
+// internal: só a saga dispara (sem rota HTTP)
+export const TRANSITIONS = {
+  pay: { from: [ORDER_STATUS.CREATED], to: ORDER_STATUS.PAID, routingKey: ROUTING_KEYS.ORDER_PAID, adminOnly: true }, // quem confirma o pagamento é o admin/sistema, não o cliente
+  ship: { from: [ORDER_STATUS.PAID], to: ORDER_STATUS.SHIPPED, routingKey: ROUTING_KEYS.ORDER_SHIPPED, adminOnly: true },
+  deliver: { from: [ORDER_STATUS.SHIPPED], to: ORDER_STATUS.DELIVERED, routingKey: ROUTING_KEYS.ORDER_DELIVERED, adminOnly: true },
+  cancel: { from: [ORDER_STATUS.CREATED], to: ORDER_STATUS.CANCELLED, routingKey: ROUTING_KEYS.ORDER_CANCELLED, adminOnly: false },
+  refund: { from: [ORDER_STATUS.PAID, ORDER_STATUS.DELIVERED], to: ORDER_STATUS.REFUNDED, routingKey: ROUTING_KEYS.ORDER_REFUNDED, adminOnly: true },
+  confirm: { from: [ORDER_STATUS.PENDING], to: ORDER_STATUS.CREATED, routingKey: ROUTING_KEYS.ORDER_CONFIRMED, internal: true },
+  reject: { from: [ORDER_STATUS.PENDING], to: ORDER_STATUS.REJECTED, routingKey: ROUTING_KEYS.ORDER_REJECTED, internal: true }
+};
+
+export class InvalidTransitionError extends Error {
+  constructor(action, status) {
+    super(`Transição inválida: não é possível '${action}' um pedido com status '${status}'`);
+    this.name = 'InvalidTransitionError';
+    this.action = action;
+    this.status = status;
+  }
+}
+
+// Ações possíveis a partir de um status (útil para a UI / documentação)
+export function allowedActions(status) {
+  return Object.keys(TRANSITIONS).filter(action => !TRANSITIONS[action].internal && TRANSITIONS[action].from.includes(status));
+}
+
+export function getTransition(action, status) {
+  const transition = TRANSITIONS[action];
+  if (!transition || !transition.from.includes(status)) {
+    throw new InvalidTransitionError(action, status);
+  }
+  return transition;
+}
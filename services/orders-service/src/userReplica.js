@@ -0,0 +1,83 @@
+// Read-model local dos usuários (tabela UserReplica).
+// Alimentado pelos eventos user.created/user.updated e por um resync completo a partir
+// do GET / do users-service; sobrevive a restarts, ao contrário do antigo cache em memória.
+import fetch from 'node-fetch';
+import { createLogger } from '../common/logger.js';
+
+const log = createLogger('orders');
+
+// Grava o usuário se ele for igual ou mais novo que a cópia local (eventos podem chegar
+// fora de ordem, e o resync pode cruzar com um user.updated). Devolve false se ignorou.
+// "Mais novo" é pela version do usuário; eventos publicados antes dela existir caem no updatedAt.
+export async function upsertUserReplica(db, user) {
+  const sourceUpdatedAt = new Date(user.updatedAt);
+  const data = {
+    name: user.name,
+    email: user.email,
+    role: user.role || 'customer',
+    deletedAt: user.deletedAt ? new Date(user.deletedAt) : null, // user.deleted vira uma "lápide"
+    sourceUpdatedAt,
+    sourceVersion: user.version
+  };
+  const notOlder = user.version === undefined
+    ? { sourceUpdatedAt: { lte: sourceUpdatedAt } }
+    : { sourceVersion: { lte: user.version } };
+
+  const { count } = await db.userReplica.updateMany({
+    where: { id: user.id, ...notOlder },
+    data
+  });
+  if (count > 0) return true;
+
+  try {
+    await db.userReplica.create({ data: { id: user.id, ...data } });
+    return true;
+  } catch (err) {
+    if (err.code === 'P2002') return false; // já existe uma versão mais nova
+    throw err;
+  }
+}
+
+export function findUserReplica(db, id) {
+  return db.userReplica.findUnique({ where: { id } });
+}
+
+// Percorre todas as páginas de GET / do users-service. Sem headers de identidade
+// a chamada é tratada como interna (common/identity.js) e pode listar todos os usuários.
+// Inclui os removidos: a lápide precisa chegar à réplica mesmo se o user.deleted se perdeu.
+export async function resyncUserReplica({ db, usersBaseUrl, timeoutMs = 5000, pageSize = 100 }) {
+  let cursor = null;
+  let synced = 0;
+  do {
+    const url = new URL(`${usersBaseUrl}/`);
+    url.searchParams.set('limit', pageSize);
+    url.searchParams.set('includeDeleted', 'true');
+    if (cursor) url.searchParams.set('cursor', cursor);
+
+    const resp = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!resp.ok) throw new Error(`users-service returned ${resp.status}`);
+    const page = await resp.json();
+
+    for (const user of page.data) {
+      if (await upsertUserReplica(db, user)) synced++;
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+  return synced;
+}
+
+// Resync na subida do serviço; o users-service pode ainda não estar no ar, então tenta de novo
+export async function bootstrapUserReplica(sync, { retries = 5, delayMs = 2000 } = {}) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const synced = await sync();
+      log.info('user replica resynced', { updated: synced });
+      return synced;
+    } catch (err) {
+      log.warn('user replica resync failed', { attempt, retries, err: err.message });
+      if (attempt < retries) await new Promise(resolve => setTimeout(resolve, delayMs * attempt));
+    }
+  }
+  log.error('user replica resync gave up; relying on user.* events');
+  return null;
+}
@@ -0,0 +1,16 @@
+import amqplib from 'amqplib';
+
+// Uma tentativa de conexão; quem reconecta é common/amqpConnection.js
+export async function createChannel(url, exchange) {
+  const conn = await amqplib.connect(url);
+  try {
+    // ConfirmChannel: a resposta ao coordenador só é dada como enviada após o ack do broker
+    const ch = await conn.createConfirmChannel();
+    await ch.assertExchange(exchange, 'topic', { durable: true });
+    return { conn, ch };
+  } catch (err) {
+    await conn.close().catch(() => {});
+    throw err;
+  }
+}
+
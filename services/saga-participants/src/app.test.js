@@ -0,0 +1,94 @@
+import supertest from 'supertest';
+import app, { PARTICIPANTS, commandHandlers } from './app.js';
+import { createInventory, parseStock } from './inventory.js';
+import { createPayments } from './payment.js';
+
+const request = supertest(app);
+
+// Sem broker nos testes: a conexão AMQP fica tentando de novo em segundo plano e os
+// testes chamam os handlers direto, com um ConfirmChannel falso que confirma todo publish
+function fakeChannel() {
+  const calls = [];
+  return {
+    calls,
+    publish(exchange, routingKey, content, options, cb) {
+      calls.push({ routingKey, ...JSON.parse(content.toString()) });
+      cb(null);
+    }
+  };
+}
+
+const event = { correlationId: 'req-1' };
+
+describe('Saga participants', () => {
+
+  it('GET /health should return ok', async () => {
+    const res = await request.get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ ok: true, service: 'saga-participants' });
+  });
+
+  it('inventory.reserve should answer inventory.reserved once per saga and keep the correlation id', async () => {
+    const ch = fakeChannel();
+    const handlers = commandHandlers(ch, PARTICIPANTS.inventory, { delayMs: 0 });
+    const command = { sagaId: 'sg_1', orderId: 'o_1', items: [{ sku: 'BOOK-1', qty: 2 }] };
+
+    await handlers['inventory.reserve'](command, event);
+    await handlers['inventory.reserve'](command, event); // reentrega
+
+    expect(ch.calls).toEqual([
+      expect.objectContaining({ routingKey: 'inventory.reserved', correlationId: 'req-1', payload: { sagaId: 'sg_1', orderId: 'o_1' } }),
+      expect.objectContaining({ routingKey: 'inventory.reserved' })
+    ]);
+    const res = await request.get('/state');
+    expect(res.body.inventory).toMatchObject({ stock: { 'BOOK-1': 98 }, reservations: 1 });
+  });
+
+  it('compensations should not publish a reply', async () => {
+    const ch = fakeChannel();
+
+    await commandHandlers(ch, PARTICIPANTS.inventory, { delayMs: 0 })['inventory.release']({ sagaId: 'sg_1', orderId: 'o_1' }, event);
+    await commandHandlers(ch, PARTICIPANTS.payment, { delayMs: 0 })['payment.void']({ sagaId: 'sg_1', orderId: 'o_1' }, event);
+
+    expect(ch.calls).toEqual([]);
+  });
+
+  it('payment.authorize should answer payment.authorized', async () => {
+    const ch = fakeChannel();
+
+    await commandHandlers(ch, PARTICIPANTS.payment, { delayMs: 0 })['payment.authorize'](
+      { sagaId: 'sg_2', orderId: 'o_2', userId: 'u_1', amount: 50 }, event
+    );
+
+    expect(ch.calls).toEqual([expect.objectContaining({ routingKey: 'payment.authorized' })]);
+  });
+
+  it('the inventory should reject missing stock and reservations that arrive after the release', () => {
+    const inventory = createInventory({ stock: parseStock('PEN-1:3'), defaultStock: 0 });
+
+    expect(inventory.reserve({ sagaId: 'a', items: [{ sku: 'PEN-1', qty: 2 }, { sku: 'PEN-1', qty: 2 }] }))
+      .toEqual({ ok: false, reason: 'estoque insuficiente para PEN-1' });
+    expect(inventory.reserve({ sagaId: 'b', items: [{ sku: 'PEN-1', qty: 3 }] })).toEqual({ ok: true });
+    expect(inventory.release({ sagaId: 'b' })).toBe(true);
+    expect(inventory.snapshot().stock).toEqual({ 'PEN-1': 3 });
+
+    // Timeout na saga: o release chegou antes do reserve
+    expect(inventory.release({ sagaId: 'c' })).toBe(false);
+    expect(inventory.reserve({ sagaId: 'c', items: [{ sku: 'PEN-1', qty: 1 }] })).toEqual({ ok: false, reason: 'reserva já compensada' });
+    expect(() => parseStock('PEN-1:-1')).toThrow('INVENTORY_STOCK inválido');
+  });
+
+  it('payments should decline amounts above the limit and authorizations after the void', () => {
+    const payments = createPayments({ declineAbove: 100 });
+
+    expect(payments.authorize({ sagaId: 'a', userId: 'u_1', amount: 150 }))
+      .toEqual({ ok: false, reason: 'valor 150 acima do limite de 100' });
+    expect(payments.authorize({ sagaId: 'b', userId: 'u_1', amount: 80 })).toEqual({ ok: true });
+    expect(payments.void({ sagaId: 'b' })).toBe(true);
+
+    expect(payments.void({ sagaId: 'c' })).toBe(false);
+    expect(payments.authorize({ sagaId: 'c', userId: 'u_1', amount: 10 })).toEqual({ ok: false, reason: 'autorização cancelada' });
+    expect(payments.snapshot()).toEqual({ declineAbove: 100, payments: { declined: 1, voided: 2 } });
+  });
+});
@@ -0,0 +1,62 @@
+// Estoque simulado (em memória) para a saga de pedidos.
+// INVENTORY_STOCK="BOOK-123:5,PEN-1:0" define o saldo de SKUs específicos; os demais
+// começam com INVENTORY_DEFAULT_STOCK unidades.
+//
+// Idempotente pelo sagaId: reserva repetida não desconta de novo e uma reserva que chega
+// depois da compensação (inventory.release antes do inventory.reserve) é recusada.
+
+export function parseStock(value = '') {
+  const stock = new Map();
+  for (const entry of value.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [sku, qty] = entry.split(':');
+    const amount = Number(qty);
+    if (!sku || !Number.isInteger(amount) || amount < 0) {
+      throw new Error(`INVENTORY_STOCK inválido: '${entry}' (use SKU:quantidade)`);
+    }
+    stock.set(sku, amount);
+  }
+  return stock;
+}
+
+// Soma as quantidades por SKU (o mesmo SKU pode aparecer em mais de um item)
+function quantitiesBySku(items) {
+  const totals = new Map();
+  for (const { sku, qty } of items) totals.set(sku, (totals.get(sku) || 0) + qty);
+  return totals;
+}
+
+export function createInventory({ stock = new Map(), defaultStock = 100 } = {}) {
+  const available = new Map(stock);
+  const reservations = new Map(); // sagaId -> Map(sku -> qty)
+  const released = new Set();
+  const availableOf = sku => (available.has(sku) ? available.get(sku) : defaultStock);
+
+  return {
+    reserve({ sagaId, items }) {
+      if (reservations.has(sagaId)) return { ok: true };
+      if (released.has(sagaId)) return { ok: false, reason: 'reserva já compensada' };
+
+      const wanted = quantitiesBySku(items);
+      for (const [sku, qty] of wanted) {
+        if (availableOf(sku) < qty) return { ok: false, reason: `estoque insuficiente para ${sku}` };
+      }
+      for (const [sku, qty] of wanted) available.set(sku, availableOf(sku) - qty);
+      reservations.set(sagaId, wanted);
+      return { ok: true };
+    },
+
+    // Devolve false se não havia reserva (recusada ou ainda não recebida)
+    release({ sagaId }) {
+      released.add(sagaId);
+      const reserved = reservations.get(sagaId);
+      if (!reserved) return false;
+      for (const [sku, qty] of reserved) available.set(sku, availableOf(sku) + qty);
+      reservations.delete(sagaId);
+      return true;
+    },
+
+    snapshot() {
+      return { stock: Object.fromEntries(available), defaultStock, reservations: reservations.size };
+    }
+  };
+}
@@ -0,0 +1,45 @@
+// Gateway de pagamento simulado (em memória) para a saga de pedidos.
+// Valores acima de PAYMENT_DECLINE_ABOVE são recusados; sem a variável, tudo é autorizado.
+//
+// Idempotente pelo sagaId: a mesma autorização repetida devolve o mesmo resultado e uma
+// autorização que chega depois do payment.void é recusada.
+export const PAYMENT_STATUS = {
+  AUTHORIZED: 'authorized',
+  DECLINED: 'declined',
+  VOIDED: 'voided'
+};
+
+export function createPayments({ declineAbove = Infinity } = {}) {
+  const payments = new Map(); // sagaId -> { userId, amount, status, reason }
+
+  return {
+    authorize({ sagaId, userId, amount }) {
+      const existing = payments.get(sagaId);
+      if (existing) {
+        return existing.status === PAYMENT_STATUS.AUTHORIZED
+          ? { ok: true }
+          : { ok: false, reason: existing.reason };
+      }
+      if (amount > declineAbove) {
+        const reason = `valor ${amount} acima do limite de ${declineAbove}`;
+        payments.set(sagaId, { userId, amount, status: PAYMENT_STATUS.DECLINED, reason });
+        return { ok: false, reason };
+      }
+      payments.set(sagaId, { userId, amount, status: PAYMENT_STATUS.AUTHORIZED });
+      return { ok: true };
+    },
+
+    // Devolve false se não havia autorização para cancelar
+    void({ sagaId }) {
+      const existing = payments.get(sagaId);
+      payments.set(sagaId, { ...existing, status: PAYMENT_STATUS.VOIDED, reason: 'autorização cancelada' });
+      return existing?.status === PAYMENT_STATUS.AUTHORIZED;
+    },
+
+    snapshot() {
+      const counts = {};
+      for (const { status } of payments.values()) counts[status] = (counts[status] || 0) + 1;
+      return { declineAbove: Number.isFinite(declineAbove) ? declineAbove : null, payments: counts };
+    }
+  };
+}
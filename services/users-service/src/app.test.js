@@ -1,26 +1,34 @@
 // CONTEÚDO DE services/users-service/src/app.test.js
+import { jest } from '@jest/globals';
 import supertest from 'supertest';
-import app from './app.js';
-import { PrismaClient } from '@prisma/client';
 
-const prisma = new PrismaClient();
-const request = supertest(app);
+// O Prisma é o de verdade, num SQLite temporário (test/globalSetup.js)
 
 // Mockar o módulo AMQP para não tentar conectar
-jest.mock('./amqp.js', () => ({
+jest.unstable_mockModule('./amqp.js', () => ({
   createChannel: jest.fn().mockResolvedValue({
-    conn: { close: jest.fn() },
+    conn: { close: jest.fn(), on: jest.fn() },
     ch: {
       assertExchange: jest.fn(),
       publish: jest.fn(),
+      on: jest.fn(),
     }
   })
 }));
 
+// Sob ESM os mocks só valem para os módulos importados depois deles
+const { default: app } = await import('./app.js');
+const { PrismaClient } = await import('@prisma/client');
+const { fingerprint } = await import('../common/idempotency.js');
+const prisma = new PrismaClient();
+const request = supertest(app);
+
 describe('Users Service API', () => {
 
   // Limpar o banco antes de cada teste
   beforeEach(async () => {
+    await prisma.outboxEvent.deleteMany({});
+    await prisma.idempotencyKey.deleteMany({});
     await prisma.user.deleteMany({});
   });
 
@@ -35,6 +43,19 @@ describe('Users Service API', () => {
     expect(res.body).toEqual({ ok: true, service: 'users' });
   });
 
+  it('GET /health/ready should check the database and the broker', async () => {
+    const res = await request.get('/health/ready');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, service: 'users', checks: { database: { ok: true }, broker: { ok: true } } });
+  });
+
+  it('GET /metrics should expose the request histogram', async () => {
+    const res = await request.get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('# TYPE http_request_duration_seconds histogram');
+    expect(res.text).toContain('amqp_publish_failures_total');
+  });
+
   it('POST / should create a user', async () => {
     const res = await request
       .post('/')
@@ -45,13 +66,58 @@ describe('Users Service API', () => {
     expect(res.body).toHaveProperty('name', 'Test User');
   });
 
+  it('POST / should write user.created to the outbox in the same transaction', async () => {
+    const res = await request
+      .post('/')
+      .send({ name: 'Outbox User', email: 'outbox@example.com' });
+
+    expect(res.status).toBe(201);
+    const events = await prisma.outboxEvent.findMany();
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ routingKey: 'user.created', status: 'pending' });
+    const event = JSON.parse(events[0].payload);
+    expect(event).toMatchObject({ eventId: events[0].id, type: 'user.created', version: 1 });
+    expect(event.payload).toHaveProperty('id', res.body.id);
+    expect(event.payload).not.toHaveProperty('passwordHash');
+  });
+
+  it('POST / should not write an outbox event when the email already exists', async () => {
+    await request.post('/').send({ name: 'First', email: 'dup-outbox@example.com' });
+    await request.post('/').send({ name: 'Second', email: 'dup-outbox@example.com' });
+
+    const events = await prisma.outboxEvent.findMany();
+    expect(events).toHaveLength(1);
+  });
+
   it('POST / should fail if email is missing', async () => {
     const res = await request
       .post('/')
       .send({ name: 'Test User' });
     
     expect(res.status).toBe(400);
-    expect(res.body).toEqual({ error: 'name and email are required' });
+    expect(res.body).toEqual({
+      error: 'Validation failed',
+      details: [{ path: '/body/email', message: "must have required property 'email'" }]
+    });
+  });
+
+  it('POST / should list every field violation from the openapi schema', async () => {
+    const res = await request
+      .post('/')
+      .send({ name: '', email: 'not-an-email' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.details.map(d => d.path)).toEqual(expect.arrayContaining(['/body/name', '/body/email']));
+  });
+
+  it('PUT /:id should validate the body against the openapi schema', async () => {
+    const res = await request
+      .put('/any-id')
+      .send({ name: 'Sem email' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([{ path: '/body/email', message: "must have required property 'email'" }]);
   });
 
   it('POST / should fail on duplicate email', async () => {
@@ -68,4 +134,265 @@ describe('Users Service API', () => {
     expect(res.status).toBe(409); // Conflict
     expect(res.body).toEqual({ error: 'Email already exists' });
   });
-});
\ No newline at end of file
+
+  it('POST /auth/login should return a JWT for valid credentials', async () => {
+    await request
+      .post('/')
+      .send({ name: 'Login User', email: 'login@example.com', password: 'secret123' });
+
+    const res = await request
+      .post('/auth/login')
+      .send({ email: 'login@example.com', password: 'secret123' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.tokenType).toBe('Bearer');
+    expect(res.body.user).not.toHaveProperty('passwordHash');
+  });
+
+  it('POST /auth/login should reject a wrong password', async () => {
+    await request
+      .post('/')
+      .send({ name: 'Login User', email: 'login@example.com', password: 'secret123' });
+
+    const res = await request
+      .post('/auth/login')
+      .send({ email: 'login@example.com', password: 'wrong' });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid credentials' });
+  });
+
+  it('POST /auth/login should reject a missing password with 400', async () => {
+    const res = await request
+      .post('/auth/login')
+      .send({ email: 'login@example.com' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('POST / should never expose the password hash', async () => {
+    const res = await request
+      .post('/')
+      .send({ name: 'Hidden', email: 'hidden@example.com', password: 'secret123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).not.toHaveProperty('passwordHash');
+    expect(res.body).toHaveProperty('role', 'customer');
+  });
+
+  it('POST / should not let a customer create an admin', async () => {
+    const res = await request
+      .post('/')
+      .set('x-user-id', 'u_customer')
+      .set('x-user-role', 'customer')
+      .send({ name: 'Evil', email: 'evil@example.com', role: 'admin' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('POST / should not let an anonymous sign up choose the admin role', async () => {
+    const anonymous = await request
+      .post('/')
+      .set('x-user-role', 'anonymous')
+      .send({ name: 'Evil', email: 'evil@example.com', role: 'admin' });
+    expect(anonymous.status).toBe(403);
+
+    // Sem nenhum header de identidade também não: o role só vem de um admin autenticado
+    const noIdentity = await request
+      .post('/')
+      .send({ name: 'Evil', email: 'evil@example.com', role: 'admin' });
+    expect(noIdentity.status).toBe(403);
+
+    const asAdmin = await request
+      .post('/')
+      .set('x-user-id', 'u_admin')
+      .set('x-user-role', 'admin')
+      .send({ name: 'Staff', email: 'staff@example.com', role: 'admin' });
+    expect(asAdmin.status).toBe(201);
+    expect(asAdmin.body.role).toBe('admin');
+  });
+
+  it('GET / should be forbidden for customers', async () => {
+    const res = await request
+      .get('/')
+      .set('x-user-id', 'u_customer')
+      .set('x-user-role', 'customer');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('GET /:id should only return the requester own user', async () => {
+    const created = await request
+      .post('/')
+      .send({ name: 'Owner', email: 'owner@example.com' });
+
+    const other = await request
+      .get(`/${created.body.id}`)
+      .set('x-user-id', 'someone-else')
+      .set('x-user-role', 'customer');
+    expect(other.status).toBe(403);
+
+    const own = await request
+      .get(`/${created.body.id}`)
+      .set('x-user-id', created.body.id)
+      .set('x-user-role', 'customer');
+    expect(own.status).toBe(200);
+  });
+
+  it('GET / should paginate users with a cursor', async () => {
+    for (const n of [1, 2, 3]) {
+      await request.post('/').send({ name: `Page ${n}`, email: `page${n}@example.com` });
+    }
+
+    const first = await request.get('/?limit=2&sort=email');
+    expect(first.status).toBe(200);
+    expect(first.body.data.map(u => u.email)).toEqual(['page1@example.com', 'page2@example.com']);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    const second = await request.get(`/?limit=2&sort=email&cursor=${first.body.nextCursor}`);
+    expect(second.body.data.map(u => u.email)).toEqual(['page3@example.com']);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('GET / should filter users by name and email substring', async () => {
+    await request.post('/').send({ name: 'Ana Silva', email: 'ana@corp.com' });
+    await request.post('/').send({ name: 'Bruno Silva', email: 'bruno@example.com' });
+    await request.post('/').send({ name: 'Carla Souza', email: 'carla@corp.com' });
+
+    const res = await request.get('/?name=Silva&email=corp');
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(u => u.name)).toEqual(['Ana Silva']);
+  });
+
+  it('GET / should reject a sort field outside the whitelist', async () => {
+    const res = await request.get('/?sort=passwordHash');
+    expect(res.status).toBe(400);
+  });
+
+  it('DELETE /:id should soft delete the user and publish user.deleted', async () => {
+    const created = await request
+      .post('/')
+      .send({ name: 'Leaving', email: 'leaving@example.com', password: 'secret123' });
+
+    const res = await request
+      .delete(`/${created.body.id}`)
+      .set('x-user-id', created.body.id)
+      .set('x-user-role', 'customer');
+    expect(res.status).toBe(204);
+
+    const stored = await prisma.user.findUnique({ where: { id: created.body.id } });
+    expect(stored.deletedAt).toBeInstanceOf(Date);
+
+    const events = await prisma.outboxEvent.findMany({ where: { routingKey: 'user.deleted' } });
+    expect(events).toHaveLength(1);
+    expect(JSON.parse(events[0].payload).payload).toMatchObject({ id: created.body.id, deletedAt: expect.any(String) });
+
+    const again = await request.delete(`/${created.body.id}`);
+    expect(again.status).toBe(404);
+
+    const login = await request.post('/auth/login').send({ email: 'leaving@example.com', password: 'secret123' });
+    expect(login.status).toBe(401);
+  });
+
+  it('GET / and GET /:id should hide deleted users unless an admin asks for them', async () => {
+    const kept = await request.post('/').send({ name: 'Kept', email: 'kept@example.com' });
+    const gone = await request.post('/').send({ name: 'Gone', email: 'gone@example.com' });
+    await request.delete(`/${gone.body.id}`);
+
+    const list = await request.get('/');
+    expect(list.body.data.map(u => u.id)).toEqual([kept.body.id]);
+
+    expect((await request.get(`/${gone.body.id}`)).status).toBe(404);
+
+    const withDeleted = await request
+      .get('/?includeDeleted=true')
+      .set('x-user-id', 'u_admin')
+      .set('x-user-role', 'admin');
+    expect(withDeleted.body.data).toHaveLength(2);
+
+    const asCustomer = await request
+      .get(`/${gone.body.id}?includeDeleted=true`)
+      .set('x-user-id', gone.body.id)
+      .set('x-user-role', 'customer');
+    expect(asCustomer.status).toBe(404);
+  });
+
+  it('PUT /:id should not update a deleted user', async () => {
+    const created = await request.post('/').send({ name: 'Gone', email: 'gone-put@example.com' });
+    await request.delete(`/${created.body.id}`);
+
+    const res = await request.put(`/${created.body.id}`).send({ name: 'Back', email: 'gone-put@example.com' });
+    expect(res.status).toBe(404);
+  });
+
+  it('PUT /:id should honour If-Match and return 412 on a stale version', async () => {
+    const created = await request.post('/').send({ name: 'Versioned', email: 'versioned@example.com' });
+    expect(created.body.version).toBe(1);
+
+    const read = await request.get(`/${created.body.id}`);
+    expect(read.headers.etag).toBe('"1"');
+
+    const first = await request
+      .put(`/${created.body.id}`)
+      .set('If-Match', read.headers.etag)
+      .send({ name: 'First writer', email: 'versioned@example.com' });
+    expect(first.status).toBe(200);
+    expect(first.body.version).toBe(2);
+    expect(first.headers.etag).toBe('"2"');
+
+    const stale = await request
+      .put(`/${created.body.id}`)
+      .set('If-Match', read.headers.etag)
+      .send({ name: 'Second writer', email: 'versioned@example.com' });
+    expect(stale.status).toBe(412);
+    expect(stale.body.currentVersion).toBe(2);
+    expect(stale.headers.etag).toBe('"2"');
+
+    const stored = await prisma.user.findUnique({ where: { id: created.body.id } });
+    expect(stored.name).toBe('First writer');
+
+    const events = await prisma.outboxEvent.findMany({ where: { routingKey: 'user.updated' } });
+    expect(events).toHaveLength(1);
+    expect(JSON.parse(events[0].payload).payload.version).toBe(2);
+  });
+
+  it('POST / should not create a second user when the Idempotency-Key is repeated', async () => {
+    const body = { name: 'Retry', email: 'retry@example.com' };
+    const first = await request.post('/').set('Idempotency-Key', 'signup-1').send(body);
+    // O resultado é gravado quando a resposta termina
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const replay = await request.post('/').set('Idempotency-Key', 'signup-1').send(body);
+
+    expect(first.status).toBe(201);
+    expect(replay.status).toBe(201);
+    expect(replay.body).toEqual(first.body);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(await prisma.outboxEvent.count()).toBe(1);
+
+    const conflict = await request.post('/').set('Idempotency-Key', 'signup-1').send({ ...body, name: 'Other' });
+    expect(conflict.status).toBe(422);
+  });
+
+  it('POST / should let a retry take over an Idempotency-Key left in progress after the lease expires', async () => {
+    const body = { name: 'Crash', email: 'crash@example.com' };
+    // Execução que caiu no meio: chave in_progress, sem resposta guardada
+    const stuck = {
+      scope: 'POST / anonymous', key: 'signup-crash', fingerprint: fingerprint({ body }),
+      expiresAt: new Date(Date.now() + 60000)
+    };
+    await prisma.idempotencyKey.create({ data: { ...stuck, lockedUntil: new Date(Date.now() + 60000) } });
+
+    const locked = await request.post('/').set('Idempotency-Key', 'signup-crash').send(body);
+    expect(locked.status).toBe(409);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+
+    await prisma.idempotencyKey.update({
+      where: { scope_key: { scope: stuck.scope, key: stuck.key } },
+      data: { lockedUntil: new Date(Date.now() - 1000) }
+    });
+    const retry = await request.post('/').set('Idempotency-Key', 'signup-crash').send(body);
+    expect(retry.status).toBe(201);
+    expect(await prisma.user.count({ where: { email: 'crash@example.com' } })).toBe(1);
+  });
+});
@@ -0,0 +1,40 @@
+// Hash de senha (scrypt nativo do Node) e emissão do JWT usado pelo gateway
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET } from '../common/identity.js';
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+export const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+
+// Formato armazenado: scrypt$<salt hex>$<hash hex>
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  if (!stored) return false;
+  const [algo, salt, hashHex] = stored.split('$');
+  if (algo !== 'scrypt' || !salt || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+export function signToken(user) {
+  return jwt.sign(
+    { sub: user.id, role: user.role, email: user.email },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+// Nunca expor o hash da senha (nem em respostas HTTP, nem em eventos)
+export function toPublicUser(user) {
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+}
@@ -1,8 +1,17 @@
 // NOVO CONTEÚDO DE services/users-service/src/index.js
-import app from './app.js';
+import app, { outboxRelay, purgeIdempotencyKeys, ensureAdminUser } from './app.js';
+import { createLogger } from '../common/logger.js';
 
+const log = createLogger('users');
 const PORT = process.env.PORT || 3001;
 
+outboxRelay.start();
+// Remove de hora em hora as Idempotency-Keys expiradas
+setInterval(() => {
+  purgeIdempotencyKeys().catch(err => log.error('idempotency purge error', { err: err.message }));
+}, 60 * 60 * 1000).unref();
+ensureAdminUser().catch(err => log.error('admin seed error', { err: err.message }));
+
 app.listen(PORT, () => {
-  console.log(`[users] listening on http://localhost:${PORT}`);
+  log.info(`listening on http://localhost:${PORT}`);
 });
\ No newline at end of file
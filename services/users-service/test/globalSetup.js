@@ -0,0 +1,25 @@
+// Banco SQLite descartável para o Jest: um arquivo num diretório temporário, com o schema
+// aplicado por prisma db push (que também gera o client). Os testes falam com ele pela
+// SQLITE_URL, que o globalSetup deixa no ambiente dos workers.
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { spawnSync } from 'child_process';
+
+const SERVICE_DIR = fileURLToPath(new URL('..', import.meta.url));
+
+export default function globalSetup() {
+  const dir = mkdtempSync(join(tmpdir(), 'users-service-test-'));
+  process.env.USERS_TEST_DB_DIR = dir;
+  process.env.SQLITE_URL = `file:${join(dir, 'test.db')}`;
+
+  const result = spawnSync('npx', ['prisma', 'db', 'push', '--schema', 'prisma/schema.prisma'], {
+    cwd: SERVICE_DIR,
+    env: process.env,
+    stdio: 'inherit'
+  });
+  if (result.status !== 0) {
+    throw new Error(`prisma db push falhou (status ${result.status}); o banco de teste não foi criado`);
+  }
+}
@@ -0,0 +1,6 @@
+// Apaga o banco de teste criado em globalSetup.js
+import { rmSync } from 'fs';
+
+export default function globalTeardown() {
+  if (process.env.USERS_TEST_DB_DIR) rmSync(process.env.USERS_TEST_DB_DIR, { recursive: true, force: true });
+}